@@ -1,36 +1,139 @@
+import { ValueCodec } from './valueCodec.js';
+import assetCatalog from './assetCatalog.js';
+import { escapeHTML } from './html.js';
+
 /**
  * WidgetFactory
- * Creates DOM elements for different parameter types.
+ * Creates DOM elements for different parameter types, and shows and reads
+ * their values. Widget types are registered by name (see register); the
+ * built-in ones are registered at the end of this file.
  */
 export class WidgetFactory {
 
+    // Widget types by name, as parameters.xml asks for them (see register)
+    static registry = new Map();
+    static assetListeners = false; // Shared document listeners of the asset widgets (see createAsset)
+    static drag = null; // The mouse drag in progress: {move(e), end(e)} (see startDrag)
+    static dragListeners = false; // Shared document listeners of the drags
+
+    /**
+     * Registers a widget type. Everything that shows or reads parameter values
+     * (the parameter panel, expressions, checkpoints, copy/paste) goes through
+     * these functions, so a registration is all a new widget needs.
+     * @param {string} name - The `widget` attribute value in parameters.xml.
+     * @param {Object} widget
+     * @param {Array<string>|null} widget.types - The value types it edits (null = any).
+     * @param {function(Object, Function, ?Function): HTMLElement} widget.create -
+     *   Builds the element: (param, onChange, onVariationChange).
+     * @param {function(HTMLElement, *)} widget.setValue - Shows a value in its type's
+     *   canonical shape (see ValueCodec) without calling onChange.
+     * @param {function(HTMLElement): *} widget.getValue - The value shown, in the same shape.
+     * @param {function(HTMLElement, boolean)} [widget.setDisabled] - Defaults to
+     *   disabling the element's inputs.
+     * @param {function(HTMLElement): *} [widget.serialize] - A JSON-safe copy of the
+     *   value, for checkpoints and the clipboard. Defaults to getValue.
+     */
+    static register(name, widget) {
+        this.registry.set(name, {
+            types: null,
+            setDisabled: (element, disabled) => {
+                element.classList.toggle('disabled', disabled);
+                element.querySelectorAll('input, select, button').forEach(input => {
+                    input.disabled = disabled;
+                });
+            },
+            serialize: (element) => widget.getValue(element),
+            ...widget,
+            name
+        });
+    }
+
+    /**
+     * A registered widget type, or null.
+     */
+    static get(name) {
+        return this.registry.get(name) || null;
+    }
+
+    /**
+     * The widget type that built an element (from createWidget).
+     */
+    static forElement(element) {
+        return this.get(element?.dataset.widget) || this.get('text');
+    }
+
+    static setValue(element, value) {
+        this.forElement(element).setValue(element, value);
+    }
+
+    static getValue(element) {
+        return this.forElement(element).getValue(element);
+    }
+
+    static setDisabled(element, disabled) {
+        this.forElement(element).setDisabled(element, disabled);
+    }
+
+    static serialize(element) {
+        return this.forElement(element).serialize(element);
+    }
+
+    // Short labels for the units attribute in parameters.xml; others are shown as written
+    static UNIT_LABELS = {
+        seconds: 's',
+        metres: 'm',
+        meters: 'm',
+        degrees: '°'
+    };
+
+    /**
+     * The label shown next to a value input, e.g. "s" for seconds.
+     */
+    static formatUnits(units) {
+        return units ? (this.UNIT_LABELS[units] || units) : '';
+    }
+
+    /**
+     * Hover text for a parameter row: name, description and units.
+     * @param {Object} param - The parameter definition from the parser.
+     * @returns {string}
+     */
+    static getTooltip(param) {
+        const lines = [`${param.label} (${param.name})`];
+        if (param.description) lines.push(param.description);
+        if (param.units) lines.push(`Units: ${param.units}`);
+        if (param.docs) lines.push('Click ? for the full documentation.');
+        return lines.join('\n');
+    }
+
+    /**
+     * A unit label for the end of a value input, or an empty string.
+     */
+    static createUnitLabel(param) {
+        const label = this.formatUnits(param.units);
+        return label ? `<span class="param-unit" title="${escapeHTML(param.units)}">${escapeHTML(label)}</span>` : '';
+    }
+
     /**
      * Creates a widget based on the parameter definition.
      * @param {Object} param - The parameter definition from the parser.
      * @param {Function} onChange - The callback function to execute when the value changes.
+     * @param {Function} [onVariationChange] - Called with the new ± random range. Sliders
+     *   and vectors only show the range inputs when this is given.
      * @returns {HTMLElement} The DOM element for the widget.
      */
-    static createWidget(param, onChange) {
-        switch (param.widget) {
-            case 'slider':
-                return this.createSlider(param, onChange);
-            case 'vector':
-                return this.createVector(param, onChange);
-            case 'color':
-                return this.createColor(param, onChange);
-            case 'dropdown':
-                return this.createDropdown(param, onChange);
-            case 'checkbox':
-                return this.createCheckbox(param, onChange);
-            case 'text':
-                return this.createTextInput(param, onChange);
-            default:
-                console.warn(`Unknown widget type: ${param.widget}. Defaulting to text input.`);
-                return this.createTextInput(param, onChange);
+    static createWidget(param, onChange, onVariationChange = null) {
+        let widget = this.get(param.widget);
+        if (!widget) {
+            console.warn(`Unknown widget type: ${param.widget}. Defaulting to text input.`);
+            widget = this.get('text');
         }
+        const element = widget.create(param, onChange, onVariationChange);
+        element.dataset.widget = widget.name;
+        return element;
     }
 
-    static createSlider(param, onChange) {
+    static createSlider(param, onChange, onVariationChange = null) {
         const container = document.createElement('div');
         container.className = 'slider-control';
 
@@ -47,8 +150,13 @@ export class WidgetFactory {
                 </div>
             </div>
             <input type="number" class="slider-value" value="${value}" step="${step}" data-min="${min}" data-max="${max}">
+            ${this.createUnitLabel(param)}
         `;
 
+        if (onVariationChange) {
+            container.appendChild(this.createVariationInputs(1, step, onVariationChange));
+        }
+
         const sliderInput = container.querySelector('.slider-input');
         const sliderTrack = container.querySelector('.slider-track');
         const sliderHandle = container.querySelector('.slider-handle');
@@ -73,13 +181,14 @@ export class WidgetFactory {
         };
 
         sliderHandle.addEventListener('mousedown', (e) => {
+            if (container.classList.contains('disabled')) return;
             isDragging = true;
             e.preventDefault();
             document.body.style.cursor = 'grabbing';
         });
 
         sliderInput.addEventListener('click', (e) => {
-            if (!isDragging) {
+            if (!isDragging && !container.classList.contains('disabled')) {
                 updateSlider(e.clientX);
                 const val = parseFloat(valueInput.value);
                 onChange(val);
@@ -115,53 +224,188 @@ export class WidgetFactory {
         return container;
     }
 
-    static createVector(param, onChange) {
+    /**
+     * A vector: one input per component, with
+     * - drag on an axis label to scrub it (Shift for fine steps)
+     * - a lock that scales all components together
+     * - the vector's length and a button to normalize it
+     * - for directionPad="true" parameters, a pad that sets the X/Z
+     *   direction (the preview's side view) and keeps the length.
+     * Always reports [x, y, z] numbers.
+     */
+    static createVector(param, onChange, onVariationChange = null) {
         const container = document.createElement('div');
         container.className = 'vector-control';
 
         const labels = param.labels ? param.labels.split(',') : ['X', 'Y', 'Z'];
-        const values = param.default ? param.default.split(',') : [0, 0, 0];
+        const step = parseFloat(param.step) || 0.1;
 
         labels.forEach((label, i) => {
             const component = document.createElement('div');
             component.className = 'vector-component';
             component.innerHTML = `
-                <div class="vector-label">${label}</div>
-                <input type="number" class="vector-input" value="${values[i] || 0}" step="0.1">
+                <div class="vector-label" title="Drag to change ${label} (Shift for fine steps)">${label}</div>
+                <input type="number" class="vector-input" value="0" step="${step}">
             `;
             container.appendChild(component);
         });
 
+        const unitLabel = this.createUnitLabel(param);
+        if (unitLabel) container.insertAdjacentHTML('beforeend', unitLabel);
+
         const lock = document.createElement('div');
         lock.className = 'vector-lock';
         lock.innerHTML = `<button class="vector-lock-btn" title="Lock Uniform Scaling">🔓</button>`;
         container.appendChild(lock);
 
+        const tools = document.createElement('div');
+        tools.className = 'vector-tools';
+        tools.innerHTML = `
+            <span class="vector-length" title="Length"></span>
+            <button class="vector-normalize-btn" title="Normalize (scale to length 1)">Normalize</button>
+            ${param.directionPad ? `
+                <div class="vector-pad" title="Drag to set the direction in the X/Z plane">
+                    <div class="vector-pad-arrow"></div>
+                    <div class="vector-pad-dot"></div>
+                </div>
+            ` : ''}
+        `;
+        container.appendChild(tools);
+
+        if (onVariationChange) {
+            container.appendChild(this.createVariationInputs(labels.length, step, onVariationChange));
+        }
+
         const inputs = container.querySelectorAll('.vector-input');
         const lockBtn = lock.querySelector('.vector-lock-btn');
-        
-        const handleChange = () => {
-            const values = Array.from(inputs).map(i => parseFloat(i.value) || 0);
-            onChange(values);
+        const pad = tools.querySelector('.vector-pad');
+        const isDisabled = () => container.classList.contains('disabled');
+        const round = (value) => Number(value.toFixed(4));
+
+        this.setVectorValues(container, ValueCodec.parse('vec3', param.default || '0,0,0'));
+
+        const emit = (values) => {
+            this.setVectorValues(container, values.map(round));
+            onChange(this.getVectorValues(container));
         };
 
-        inputs.forEach(input => input.addEventListener('change', handleChange));
+        // A new value for one component; locked vectors scale every component with it.
+        // A zero component gives no ratio to scale by, so only it changes.
+        const withComponent = (reference, index, value) => {
+            if (!lockBtn.classList.contains('locked') || reference[index] === 0) {
+                return reference.map((c, i) => (i === index ? value : c));
+            }
+            return reference.map(c => c * (value / reference[index]));
+        };
+
+        inputs.forEach((input, index) => input.addEventListener('change', () => {
+            emit(withComponent(JSON.parse(container.dataset.value), index, parseFloat(input.value) || 0));
+        }));
 
-        lockBtn?.addEventListener('click', (e) => {
+        lockBtn.addEventListener('click', (e) => {
             const btn = e.currentTarget;
             btn.classList.toggle('locked');
             btn.innerHTML = btn.classList.contains('locked') ? '🔒' : '🔓';
         });
 
-        inputs.forEach(input => {
-            input.addEventListener('input', () => {
-                if (lockBtn?.classList.contains('locked')) {
-                    const value = input.value;
-                    inputs.forEach(i => i.value = value);
-                }
+        tools.querySelector('.vector-normalize-btn').addEventListener('click', () => {
+            const values = this.getVectorValues(container);
+            const length = Math.hypot(...values);
+            if (length > 0) emit(values.map(c => c / length));
+        });
+
+        // Scrubbing and the direction pad both track the mouse until it's released
+        container.querySelectorAll('.vector-label').forEach((label, index) => {
+            label.addEventListener('mousedown', (e) => {
+                if (isDisabled()) return;
+                e.preventDefault();
+                const startX = e.clientX;
+                const start = this.getVectorValues(container);
+                document.body.style.cursor = 'ew-resize';
+                this.startDrag({
+                    move: (e) => {
+                        const delta = (e.clientX - startX) * step * (e.shiftKey ? 0.1 : 1);
+                        emit(withComponent(start, index, start[index] + delta));
+                    },
+                    end: () => document.body.style.cursor = ''
+                });
             });
         });
 
+        const aimPad = (e) => {
+            const rect = pad.getBoundingClientRect();
+            const dx = e.clientX - (rect.left + rect.width / 2);
+            const dz = (rect.top + rect.height / 2) - e.clientY;
+            if (dx === 0 && dz === 0) return;
+            const values = this.getVectorValues(container);
+            const length = Math.hypot(values[0], values[2]) || 1;
+            const angle = Math.atan2(dz, dx);
+            emit([Math.cos(angle) * length, values[1], Math.sin(angle) * length]);
+        };
+
+        pad?.addEventListener('mousedown', (e) => {
+            if (isDisabled()) return;
+            e.preventDefault();
+            aimPad(e);
+            this.startDrag({ move: aimPad });
+        });
+
+        return container;
+    }
+
+    static getVectorValues(container) {
+        return Array.from(container.querySelectorAll('.vector-input')).map(i => parseFloat(i.value) || 0);
+    }
+
+    /**
+     * Shows a vector in the inputs, the length readout and the direction pad.
+     * Accepts any shape ValueCodec understands, e.g. {x, y, z}.
+     */
+    static setVectorValues(container, value) {
+        const values = ValueCodec.normalize('vec3', value);
+        container.querySelectorAll('.vector-input').forEach((input, i) => {
+            input.value = Number.isFinite(values[i]) ? values[i] : 0;
+        });
+
+        const current = this.getVectorValues(container);
+        const length = Math.hypot(...current);
+        container.dataset.value = JSON.stringify(current);
+        container.querySelector('.vector-length').textContent = `|v| ${length.toFixed(2)}`;
+        container.querySelector('.vector-normalize-btn').disabled = length === 0 || container.classList.contains('disabled');
+
+        const pad = container.querySelector('.vector-pad');
+        if (pad) {
+            // Side view: X to the right, Z up
+            const planar = Math.hypot(current[0], current[2]);
+            const x = planar > 0 ? current[0] / planar : 0;
+            const z = planar > 0 ? current[2] / planar : 0;
+            pad.querySelector('.vector-pad-dot').style.left = `${50 + x * 40}%`;
+            pad.querySelector('.vector-pad-dot').style.top = `${50 - z * 40}%`;
+            const arrow = pad.querySelector('.vector-pad-arrow');
+            arrow.style.width = planar > 0 ? '40%' : '0';
+            arrow.style.transform = `rotate(${-Math.atan2(z, x)}rad)`;
+        }
+    }
+
+    /**
+     * Inputs for a ± random range: one per component. Reports a number for a
+     * single component and an array otherwise.
+     */
+    static createVariationInputs(count, step, onVariationChange) {
+        const container = document.createElement('div');
+        container.className = 'variation-control';
+        container.innerHTML = `
+            <span class="variation-label" title="Random variation: each particle gets the value ± this range">±</span>
+            ${`<input type="number" class="variation-input" value="0" min="0" step="${step}">`.repeat(count)}
+        `;
+
+        const inputs = container.querySelectorAll('.variation-input');
+        inputs.forEach(input => input.addEventListener('change', () => {
+            const ranges = Array.from(inputs).map(i => Math.max(0, parseFloat(i.value) || 0));
+            inputs.forEach((i, index) => i.value = ranges[index]);
+            onVariationChange(count === 1 ? ranges[0] : ranges);
+        }));
+
         return container;
     }
 
@@ -199,6 +443,151 @@ export class WidgetFactory {
         return container;
     }
 
+    /**
+     * A colour-over-life gradient: a bar with draggable stops (click the bar
+     * to add one) and an editor for the selected stop's position, colour and
+     * HDR intensity. The stops live in the element's data-stops as JSON.
+     */
+    static createGradient(param, onChange) {
+        const container = document.createElement('div');
+        container.className = 'gradient-control';
+        container.innerHTML = `
+            <div class="gradient-bar" title="Click to add a color stop">
+                <div class="gradient-preview"></div>
+            </div>
+            <div class="gradient-stop-editor">
+                <input type="number" class="gradient-stop-position" min="0" max="1" step="0.01" title="Position over the particle's life (0-1)">
+                <input type="color" class="gradient-stop-color" title="Stop color">
+                <span class="gradient-intensity-label" title="HDR intensity: above 1 makes the color glow">×</span>
+                <input type="number" class="gradient-stop-intensity" min="0" step="0.1" title="HDR intensity: above 1 makes the color glow">
+                <button class="param-icon-btn gradient-stop-remove" title="Remove Stop">✕</button>
+            </div>
+        `;
+        container.dataset.selected = '0';
+        this.setGradientStops(container, ValueCodec.parse('gradient', param.default || ''));
+
+        const bar = container.querySelector('.gradient-bar');
+        const positionInput = container.querySelector('.gradient-stop-position');
+        const colorInput = container.querySelector('.gradient-stop-color');
+        const intensityInput = container.querySelector('.gradient-stop-intensity');
+        const isDisabled = () => container.classList.contains('disabled');
+
+        // Applies an edit to the selected stop and keeps it selected after re-sorting
+        const editSelected = (edit) => {
+            const stops = this.getGradientStops(container);
+            const stop = stops[parseInt(container.dataset.selected)];
+            if (!stop) return;
+            edit(stop);
+            stops.sort((a, b) => a.t - b.t);
+            container.dataset.selected = String(stops.indexOf(stop));
+            this.setGradientStops(container, stops);
+        };
+        const positionAt = (clientX) => {
+            const rect = bar.getBoundingClientRect();
+            return rect.width > 0 ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0;
+        };
+
+        bar.addEventListener('mousedown', (e) => {
+            const marker = e.target.closest('.gradient-stop');
+            if (!marker || isDisabled()) return;
+            e.preventDefault();
+            container.dataset.selected = marker.dataset.index;
+            this.renderGradient(container);
+            this.startDrag({
+                move: (e) => editSelected(stop => stop.t = Number(positionAt(e.clientX).toFixed(3))),
+                end: () => onChange(this.getGradientStops(container))
+            });
+        });
+
+        bar.addEventListener('click', (e) => {
+            if (e.target.closest('.gradient-stop') || isDisabled()) return;
+            // New stops take the gradient's current colour at that point
+            const stops = this.getGradientStops(container);
+            const t = Number(positionAt(e.clientX).toFixed(3));
+            const { r, g, b } = ValueCodec.sampleGradient(stops, t);
+            const intensity = Math.max(1, r / 255, g / 255, b / 255);
+            const stop = {
+                t,
+                color: ValueCodec.normalize('color', { r: r / intensity, g: g / intensity, b: b / intensity }),
+                intensity: Number(intensity.toFixed(3))
+            };
+            stops.push(stop);
+            stops.sort((a, b) => a.t - b.t);
+            container.dataset.selected = String(stops.indexOf(stop));
+            this.setGradientStops(container, stops);
+            onChange(this.getGradientStops(container));
+        });
+
+        positionInput.addEventListener('change', () => {
+            editSelected(stop => stop.t = Math.max(0, Math.min(1, parseFloat(positionInput.value) || 0)));
+            onChange(this.getGradientStops(container));
+        });
+
+        colorInput.addEventListener('input', () => {
+            editSelected(stop => stop.color = colorInput.value);
+            onChange(this.getGradientStops(container));
+        });
+
+        intensityInput.addEventListener('change', () => {
+            editSelected(stop => stop.intensity = Math.max(0, parseFloat(intensityInput.value) || 0));
+            onChange(this.getGradientStops(container));
+        });
+
+        container.querySelector('.gradient-stop-remove').addEventListener('click', () => {
+            const stops = this.getGradientStops(container);
+            if (stops.length <= 2) return;
+            stops.splice(parseInt(container.dataset.selected), 1);
+            this.setGradientStops(container, stops);
+            onChange(this.getGradientStops(container));
+        });
+
+        return container;
+    }
+
+    static getGradientStops(container) {
+        return JSON.parse(container.dataset.stops || '[]');
+    }
+
+    static setGradientStops(container, stops) {
+        const normalized = ValueCodec.normalize('gradient', stops);
+        container.dataset.stops = JSON.stringify(normalized);
+        container.dataset.selected = String(Math.max(0, Math.min(normalized.length - 1, parseInt(container.dataset.selected) || 0)));
+        this.renderGradient(container);
+    }
+
+    /**
+     * Redraws the bar, the stop markers and the selected stop's inputs.
+     */
+    static renderGradient(container) {
+        const stops = this.getGradientStops(container);
+        const selected = parseInt(container.dataset.selected);
+        const bar = container.querySelector('.gradient-bar');
+
+        container.querySelector('.gradient-preview').style.background = stops.length > 1
+            ? `linear-gradient(to right, ${stops.map(stop => `${stop.color} ${stop.t * 100}%`).join(', ')})`
+            : stops[0]?.color || '#ffffff';
+
+        bar.querySelectorAll('.gradient-stop').forEach(marker => marker.remove());
+        stops.forEach((stop, index) => {
+            const marker = document.createElement('div');
+            marker.className = 'gradient-stop';
+            marker.classList.toggle('selected', index === selected);
+            marker.classList.toggle('hdr', stop.intensity > 1);
+            marker.dataset.index = String(index);
+            marker.style.left = `${stop.t * 100}%`;
+            marker.style.background = stop.color;
+            marker.title = `${stop.t} ${stop.color} ×${stop.intensity}`;
+            bar.appendChild(marker);
+        });
+
+        const stop = stops[selected];
+        if (!stop) return;
+        container.querySelector('.gradient-stop-position').value = stop.t;
+        container.querySelector('.gradient-stop-color').value = stop.color;
+        container.querySelector('.gradient-stop-intensity').value = stop.intensity;
+        container.querySelector('.gradient-stop-remove').disabled = stops.length <= 2 || container.classList.contains('disabled');
+    }
+
     static createDropdown(param, onChange) {
         const container = document.createElement('div');
         container.className = 'dropdown-control';
@@ -232,6 +621,7 @@ export class WidgetFactory {
 
         const checkbox = container.querySelector('.checkbox');
         checkbox?.addEventListener('click', () => {
+            if (container.classList.contains('disabled')) return;
             checkbox.classList.toggle('checked');
             const isChecked = checkbox.classList.contains('checked');
             onChange(isChecked);
@@ -240,6 +630,168 @@ export class WidgetFactory {
         return container;
     }
 
+    /**
+     * A path into the asset catalog: a text field with a thumbnail, a warning
+     * when the path isn't in the catalog, and a picker with fuzzy search and
+     * recently used paths.
+     */
+    static createAsset(param, onChange) {
+        const container = document.createElement('div');
+        container.className = 'asset-control';
+        container.innerHTML = `
+            <div class="asset-input-row">
+                <div class="asset-thumb"></div>
+                <input type="text" class="asset-path" placeholder="textures/...">
+                <span class="asset-missing" title="Not in the asset catalog. Check the path for typos.">⚠️</span>
+                <button class="param-icon-btn asset-browse-btn" title="Browse Assets">📁</button>
+            </div>
+            <div class="asset-picker">
+                <input type="text" class="asset-search" placeholder="Search assets...">
+                <div class="asset-results"></div>
+                <div class="asset-picker-footer">
+                    <span class="asset-source"></span>
+                    <button class="checkpoint-action-btn" data-asset-action="assetfolder" title="Use the textures in a game folder">Folder...</button>
+                    <button class="checkpoint-action-btn" data-asset-action="assetindex" title="Use an index file listing texture paths">Index...</button>
+                </div>
+            </div>
+        `;
+
+        const pathInput = container.querySelector('.asset-path');
+        const picker = container.querySelector('.asset-picker');
+        const search = container.querySelector('.asset-search');
+        const results = container.querySelector('.asset-results');
+
+        const choose = (path) => {
+            this.setAssetPath(container, path);
+            assetCatalog.addRecent(path);
+            picker.classList.remove('open');
+            onChange(path);
+        };
+
+        const renderResults = () => {
+            const query = search.value.trim();
+            const recent = query ? [] : assetCatalog.getRecent().map(path => assetCatalog.get(path) || { path, preview: null });
+            const matches = assetCatalog.search(query).filter(entry => !recent.some(r => r.path === entry.path));
+            const item = (entry) => `
+                <div class="asset-result${assetCatalog.isLoaded() && !assetCatalog.has(entry.path) ? ' missing' : ''}" data-path="${escapeHTML(entry.path)}" title="${escapeHTML(entry.path)}">
+                    <div class="asset-thumb">${entry.preview ? `<img src="${escapeHTML(entry.preview)}" alt="">` : ''}</div>
+                    <span class="asset-result-path">${escapeHTML(entry.path)}</span>
+                </div>
+            `;
+
+            results.innerHTML = [
+                recent.length > 0 ? `<div class="asset-results-heading">Recent</div>${recent.map(item).join('')}` : '',
+                matches.length > 0 ? `<div class="asset-results-heading">${query ? 'Matches' : 'All Assets'}</div>${matches.map(item).join('')}` : '',
+                !assetCatalog.isLoaded() ? '<div class="asset-results-empty">No asset catalog. Pick a game folder or an index file.</div>'
+                    : matches.length === 0 && query ? '<div class="asset-results-empty">No assets match the search.</div>' : ''
+            ].join('');
+            container.querySelector('.asset-source').textContent = assetCatalog.isLoaded()
+                ? `${assetCatalog.entries.size} from ${assetCatalog.source}` : '';
+        };
+
+        container.querySelector('.asset-browse-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (container.classList.contains('disabled')) return;
+            picker.classList.toggle('open');
+            if (picker.classList.contains('open')) {
+                search.value = '';
+                renderResults();
+                search.focus();
+            }
+        });
+
+        search.addEventListener('input', renderResults);
+        search.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                const first = results.querySelector('.asset-result');
+                if (first) choose(first.dataset.path);
+            } else if (e.key === 'Escape') {
+                picker.classList.remove('open');
+            }
+        });
+
+        results.addEventListener('click', (e) => {
+            const result = e.target.closest('.asset-result');
+            if (result) choose(result.dataset.path);
+        });
+
+        // Loading a catalog needs the app's file pickers
+        container.querySelectorAll('[data-asset-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                document.dispatchEvent(new CustomEvent('menuAction', { detail: button.dataset.assetAction }));
+            });
+        });
+
+        pathInput.addEventListener('change', () => {
+            const path = pathInput.value.trim().replace(/\\/g, '/');
+            this.setAssetPath(container, path);
+            if (path) assetCatalog.addRecent(path);
+            onChange(path);
+        });
+
+        // Forwarded by the shared listener while the widget is in the page
+        container.addEventListener('assetCatalogChanged', () => {
+            this.setAssetPath(container, pathInput.value);
+            if (picker.classList.contains('open')) renderResults();
+        });
+
+        this.setupAssetListeners();
+        this.setAssetPath(container, param.default || '');
+        return container;
+    }
+
+    /**
+     * Tracks the mouse until the button is released, through one pair of
+     * document listeners shared by every widget.
+     * @param {{move: function(MouseEvent), end?: function(MouseEvent)}} drag
+     */
+    static startDrag(drag) {
+        if (!this.dragListeners) {
+            this.dragListeners = true;
+            document.addEventListener('mousemove', (e) => this.drag?.move(e));
+            document.addEventListener('mouseup', (e) => {
+                const drag = this.drag;
+                this.drag = null;
+                drag?.end?.(e);
+            });
+        }
+        this.drag = drag;
+    }
+
+    /**
+     * Adds the document listeners every asset widget needs, once. Widgets
+     * dropped by a re-render then leave nothing behind on the document.
+     */
+    static setupAssetListeners() {
+        if (this.assetListeners) return;
+        this.assetListeners = true;
+
+        document.addEventListener('assetCatalogChanged', () => {
+            document.querySelectorAll('.asset-control').forEach(control => {
+                control.dispatchEvent(new CustomEvent('assetCatalogChanged'));
+            });
+        });
+
+        // A click outside a picker closes it
+        document.addEventListener('click', (e) => {
+            document.querySelectorAll('.asset-picker.open').forEach(picker => {
+                if (!picker.closest('.asset-control').contains(e.target)) picker.classList.remove('open');
+            });
+        });
+    }
+
+    /**
+     * Shows a path with its thumbnail and the missing-asset warning.
+     */
+    static setAssetPath(container, path) {
+        const entry = assetCatalog.get(path);
+        const missing = !!path && assetCatalog.isLoaded() && !entry;
+        container.querySelector('.asset-path').value = path ?? '';
+        container.querySelector('.asset-thumb').innerHTML = entry?.preview
+            ? `<img src="${escapeHTML(entry.preview)}" alt="">` : '';
+        container.classList.toggle('missing', missing);
+    }
+
     static createTextInput(param, onChange) {
         const container = document.createElement('div');
         container.className = 'text-control';
@@ -255,3 +807,84 @@ export class WidgetFactory {
         return container;
     }
 }
+
+// Built-in widgets
+
+WidgetFactory.register('slider', {
+    types: ['float', 'int'],
+    create: (param, onChange, onVariationChange) => WidgetFactory.createSlider(param, onChange, onVariationChange),
+    setValue: (element, value) => {
+        const sliderValue = element.querySelector('.slider-value');
+        const sliderTrack = element.querySelector('.slider-track');
+        const sliderInput = element.querySelector('.slider-input');
+        const min = parseFloat(sliderInput.dataset.min);
+        const max = parseFloat(sliderInput.dataset.max);
+        const step = parseFloat(sliderValue.step);
+
+        value = Math.max(min, Math.min(max, parseFloat(value) || 0));
+
+        sliderValue.value = value.toFixed(step >= 1 ? 0 : 2);
+        const percentage = ((value - min) / (max - min)) * 100;
+        sliderTrack.style.width = `${Math.max(0, Math.min(100, percentage))}%`;
+    },
+    getValue: (element) => parseFloat(element.querySelector('.slider-value').value) || 0
+});
+
+WidgetFactory.register('vector', {
+    types: ['vec3'],
+    create: (param, onChange, onVariationChange) => WidgetFactory.createVector(param, onChange, onVariationChange),
+    setValue: (element, value) => WidgetFactory.setVectorValues(element, value),
+    getValue: (element) => WidgetFactory.getVectorValues(element)
+});
+
+WidgetFactory.register('color', {
+    types: ['color'],
+    create: (param, onChange) => WidgetFactory.createColor(param, onChange),
+    setValue: (element, value) => {
+        element.querySelector('.color-value').value = value;
+        element.querySelector('.color-swatch').style.background = value;
+        element.querySelector('.color-picker').value = value;
+    },
+    getValue: (element) => element.querySelector('.color-value').value
+});
+
+WidgetFactory.register('gradient', {
+    types: ['gradient'],
+    create: (param, onChange) => WidgetFactory.createGradient(param, onChange),
+    setValue: (element, value) => WidgetFactory.setGradientStops(element, value),
+    getValue: (element) => WidgetFactory.getGradientStops(element)
+});
+
+WidgetFactory.register('dropdown', {
+    types: ['enum'],
+    create: (param, onChange) => WidgetFactory.createDropdown(param, onChange),
+    setValue: (element, value) => {
+        element.querySelector('.dropdown-select').value = value;
+    },
+    getValue: (element) => element.querySelector('.dropdown-select').value
+});
+
+WidgetFactory.register('checkbox', {
+    types: ['bool'],
+    create: (param, onChange) => WidgetFactory.createCheckbox(param, onChange),
+    setValue: (element, value) => {
+        element.querySelector('.checkbox').classList.toggle('checked', !!value);
+    },
+    getValue: (element) => element.querySelector('.checkbox').classList.contains('checked')
+});
+
+WidgetFactory.register('asset', {
+    types: ['string'],
+    create: (param, onChange) => WidgetFactory.createAsset(param, onChange),
+    setValue: (element, value) => WidgetFactory.setAssetPath(element, value),
+    getValue: (element) => element.querySelector('.asset-path').value
+});
+
+WidgetFactory.register('text', {
+    types: null,
+    create: (param, onChange) => WidgetFactory.createTextInput(param, onChange),
+    setValue: (element, value) => {
+        element.querySelector('.text-input-field').value = value ?? '';
+    },
+    getValue: (element) => element.querySelector('.text-input-field').value
+});
@@ -7,26 +7,54 @@ import { CurveEditor } from './curveEditor.js';
 import { TimelineManager } from './timelineManager.js';
 import { ParticleRenderer } from './particleRenderer.js';
 import { CryEngineExporter } from './cryEngineExporter.js';
+import { CryEngineImporter } from './cryEngineImporter.js';
+import { ProjectSerializer } from './projectSerializer.js';
+import { BatchExporter } from './batchExport.js';
+import { ProblemsPanel } from './problemsPanel.js';
+import { ParameterReference } from './parameterReference.js';
+import { ParamInheritance } from './paramInheritance.js';
+import { ValueCodec } from './valueCodec.js';
+import { CryEngineParameterParser } from './cryEngineParameterParser.js';
+import { DefinitionsWatcher } from './definitionsWatcher.js';
+import { DefinitionProfiles } from './definitionProfiles.js';
+import { ProfileConverter } from './profileConverter.js';
 import menuManager from './menus.js';
 import checkpointManager from './checkpoints.js';
 import keyboardShortcuts from './keyboardShortcuts.js';
 import resizeManager from './resizeManager.js';
+import assetCatalog from './assetCatalog.js';
 import { WidgetFactory } from './WidgetFactory.js'; // Import the new factory
+import { escapeHTML } from './html.js';
 
 class VFXEditor {
     constructor() {
+        // Owns the one parameter parser every module shares
+        this.definitionProfiles = new DefinitionProfiles();
+        const parser = this.definitionProfiles.parser;
+
         this.libraryManager = new LibraryManager();
-        this.parameterManager = new ParameterManager();
+        this.parameterManager = new ParameterManager(parser);
         this.curveEditor = new CurveEditor();
         this.timelineManager = new TimelineManager();
         this.particleRenderer = new ParticleRenderer();
-        this.exporter = new CryEngineExporter(); // Create instance
+        this.exporter = new CryEngineExporter(parser); // Create instance
+        this.importer = new CryEngineImporter(parser);
+        this.projectSerializer = new ProjectSerializer(parser, this.definitionProfiles);
+        this.profileConverter = new ProfileConverter(this.definitionProfiles);
+        this.batchExporter = new BatchExporter();
+        this.problemsPanel = new ProblemsPanel();
+        this.parameterReference = new ParameterReference();
+        this.definitionsWatcher = new DefinitionsWatcher();
         
         this.selectedEffect = null; // This is the effect currently being EDITED
         this.rootEffect = null; // This is the root of the hierarchy being SIMULATED
         this.currentLibrary = null;
         this.effectsData = [];
         
+        // Native project file state
+        this.projectFilename = null; // Set after the first Save As / Open
+        this.isDirty = false;
+        
         // Don't call init() here anymore, it will be called externally
     }
 
@@ -38,14 +66,21 @@ class VFXEditor {
         // Initialize all managers
         this.libraryManager.init();
         
-        // *** MODIFICATION: Await the async init of ParameterManager ***
+        // Parameter definitions for every profile, loaded once for all modules
+        await this.definitionProfiles.load();
+
+        // Texture paths for the asset picker and the missing-asset warnings
+        await assetCatalog.loadDefault();
+        this.exporter.validator.assets = assetCatalog;
+
         // *** Pass the list of used parameters from the renderer to the param manager ***
-        await this.parameterManager.init(ParticleRenderer.USED_PARAMS); 
-        
-        // *** FIX: Await the new async init of CryEngineExporter ***
-        await this.exporter.init();
+        this.parameterManager.init(ParticleRenderer.USED_PARAMS); 
         
         this.curveEditor.init(this);
+        this.batchExporter.init(this);
+        this.problemsPanel.init(this);
+        this.parameterReference.init(this, this.definitionProfiles.parser);
+        this.definitionsWatcher.init(this);
         this.timelineManager.init();
         this.particleRenderer.init();
         
@@ -64,8 +99,13 @@ class VFXEditor {
         // Setup keyboard shortcuts
         this.setupKeyboardShortcuts();
         
+        this.updateProjectStatus();
+
+        // Refuse to edit with broken definitions rather than show an empty panel
+        this.activateLibraryProfile(this.currentLibrary, { force: true });
+        
         console.log('✅ VFX Editor initialized successfully');
-        console.log('💡 Press Ctrl+S to save/export particle library');
+        console.log('💡 Press Ctrl+S to save the project, Ctrl+E to export a CryEngine library');
         console.log('💡 Press 1-4 to switch between checkpoints A-D');
         console.log('💡 Right-click checkpoint buttons to save current state');
     }
@@ -75,7 +115,8 @@ class VFXEditor {
         const panels = {
             'parameters': document.getElementById('parameters-tab'),
             'curves': document.getElementById('curves-tab'),
-            'expressions': document.getElementById('expressions-tab')
+            'expressions': document.getElementById('expressions-tab'),
+            'reference': document.getElementById('reference-tab')
         };
 
         tabButtons.forEach(btn => {
@@ -170,48 +211,31 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
     }
     
     setupExportHandlers() {
-        // Find the existing save button in the menu bar
+        // Find the existing save button in the menu bar.
+        // File menu entries and Ctrl+S arrive through 'menuAction' events.
         const saveBtn = document.querySelector('.menu-actions button[title="Save (Ctrl+S)"]');
         
         if (saveBtn) {
-            console.log('💾 Save button found, attaching export handler...');
+            console.log('💾 Save button found, attaching save handler...');
             saveBtn.addEventListener('click', () => {
                 console.log('💾 Save button clicked!');
-                this.exportLibrary();
+                this.saveProject();
             });
         } else {
             console.error('❌ Save button not found in menu-actions!');
         }
         
-        // Also attach to File menu "Save" option
-        const fileSaveOption = document.querySelector('.menu-option[data-action="save"]');
-        if (fileSaveOption) {
-            console.log('💾 File menu Save option found, attaching handler...');
-            fileSaveOption.addEventListener('click', () => {
-                console.log('💾 File > Save clicked!');
-                this.exportLibrary();
-            });
-        }
-        
-        // Also attach to File menu "Export Effect" option
-        const exportOption = document.querySelector('.menu-option[data-action="export"]');
-        if (exportOption) {
-            console.log('📦 Export option found, attaching handler...');
-            exportOption.addEventListener('click', () => {
-                console.log('📦 File > Export Effect clicked!');
-                this.showExportPreview();
-            });
-        }
+        // Warn before leaving the page with unsaved changes
+        window.addEventListener('beforeunload', (e) => {
+            if (this.isDirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
     }
     
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
-            // Ctrl+S or Cmd+S - Save/Export
-            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-                e.preventDefault();
-                this.exportLibrary();
-            }
-            
             // Ctrl+E - Export preview
             if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
                 e.preventDefault();
@@ -231,6 +255,24 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
             this.onParameterChanged(e.detail);
         });
 
+        // Inheritance mode / template changes from the parameter panel
+        document.addEventListener('inheritanceChanged', (e) => {
+            this.onInheritanceChanged(e.detail);
+        });
+
+        document.addEventListener('parameterVariationChanged', (e) => {
+            this.onParameterVariationChanged(e.detail);
+        });
+
+        // "Parameter Reference" from a parameter's context menu
+        document.addEventListener('showParameterReference', (e) => {
+            this.parameterReference.show(e.detail.name);
+        });
+
+        document.addEventListener('particleSystemChanged', (e) => {
+            this.onParticleSystemChanged(e.detail);
+        });
+
         // Curve changes
         document.addEventListener('curveChanged', (e) => {
             this.onCurveChanged(e.detail);
@@ -260,6 +302,19 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         document.addEventListener('effectLockChanged', (e) => {
             this.onEffectLockChanged(e.detail.name, e.detail.isLocked);
         });
+
+        document.addEventListener('itemRenamed', (e) => {
+            this.onItemRenamed(e.detail.item);
+        });
+
+        // Anything that changes saved project data marks the project dirty
+        [
+            'parameterChanged', 'parameterVariationChanged', 'particleSystemChanged', 'curveChanged', 'timelineTrackChanged', 'timelineDurationChanged',
+            'timelineFlagsChanged', 'effectVisibilityChanged', 'effectLockChanged', 'itemRenamed',
+            'checkpointsChanged', 'expressionChanged'
+        ].forEach(eventName => {
+            document.addEventListener(eventName, () => this.setDirty(true));
+        });
     }
 
     handleMenuAction(action) {
@@ -267,10 +322,57 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         
         switch(action) {
             case 'save':
-                this.exportLibrary();
+                this.saveProject();
+                break;
+            case 'saveas':
+                this.saveProjectAs();
+                break;
+            case 'open':
+                this.openProject();
                 break;
             case 'export':
-                this.exportLibrary();
+                this.showExportPreview();
+                break;
+            case 'import':
+                this.importLibraryFromFile();
+                break;
+            case 'batchexport':
+                this.batchExporter.open();
+                break;
+            case 'problems':
+                this.problemsPanel.toggle();
+                break;
+            case 'docs':
+                this.parameterReference.show();
+                break;
+            case 'statebadges':
+                this.parameterManager.setBadgesVisible(!this.parameterManager.showBadges);
+                break;
+            case 'reloaddefs':
+                this.definitionsWatcher.poll(true);
+                break;
+            case 'watchdefs':
+                this.definitionsWatcher.setEnabled(!this.definitionsWatcher.enabled);
+                this.showNotification('Watch Definitions',
+                    this.definitionsWatcher.enabled ? 'Definitions reload when their files change' : 'Stopped watching', 'info');
+                break;
+            case 'convertprofile':
+                this.showProfileConversion();
+                break;
+            case 'assetfolder':
+                this.loadAssetFolder();
+                break;
+            case 'assetindex':
+                this.loadAssetIndex();
+                break;
+            case 'copy':
+                this.copySelectedEffect();
+                break;
+            case 'cut':
+                this.copySelectedEffect({ cut: true });
+                break;
+            case 'paste':
+                this.pasteEffects();
                 break;
             case 'undo':
                 this.showNotification('Undo', 'Action undone');
@@ -281,6 +383,124 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         }
     }
 
+    /**
+     * Loads the definitions of a library's profile into the shared parser and
+     * refreshes what shows them, if the profile changed.
+     * @param {Object|null} library
+     * @param {{force: boolean}} [options] - Refresh even if the profile was already active.
+     */
+    activateLibraryProfile(library, { force = false } = {}) {
+        if (!this.definitionProfiles.activate(library?.profile) && !force) return;
+
+        this.definitionsWatcher.watch(this.definitionProfiles.getLoadedFiles());
+        this.updateProfileStatus();
+        if (!this.checkDefinitions()) return;
+        this.parameterReference.render();
+        this.problemsPanel.scheduleRefresh();
+    }
+
+    updateProfileStatus() {
+        const statusEl = document.getElementById('profile-status');
+        if (!statusEl) return;
+        const profile = this.definitionProfiles.getActive();
+        statusEl.textContent = profile.name;
+        statusEl.title = `${profile.parameters} (SandboxVersion ${profile.sandboxVersion}, ParticleVersion ${profile.particleVersion})`;
+    }
+
+    /**
+     * Shows the definitions error screen if the active profile's definitions
+     * couldn't be loaded or have errors, and hides it otherwise.
+     * @returns {boolean} Whether the definitions are usable.
+     */
+    checkDefinitions() {
+        const parser = this.definitionProfiles.parser;
+        if (parser.hasErrors()) {
+            this.showDefinitionsErrors(parser.problems);
+            // Keep watching so fixing the file brings the editor back
+            this.definitionsWatcher.start();
+            return false;
+        }
+        this.hideDefinitionsErrors();
+        if (!this.definitionsWatcher.enabled) this.definitionsWatcher.stop();
+        return true;
+    }
+
+    /**
+     * Re-reads the profiles and their definitions (hot reload) and rebuilds
+     * the parameter panel and reference for the selected effect.
+     */
+    async reloadDefinitions() {
+        await this.definitionProfiles.load();
+        this.activateLibraryProfile(this.currentLibrary, { force: true });
+        if (this.definitionProfiles.parser.hasErrors()) return;
+
+        if (this.selectedEffect) {
+            this.selectEffect(this.selectedEffect, this.rootEffect);
+        } else {
+            this.parameterManager.render();
+        }
+
+        const file = this.definitionProfiles.getActive().parameters;
+        const warnings = this.definitionProfiles.parser.problems.length;
+        this.showNotification('Definitions Reloaded',
+            warnings > 0 ? `${file} has ${warnings} warning${warnings !== 1 ? 's' : ''} (see console)` : `${file} reloaded`,
+            warnings > 0 ? 'warning' : 'success');
+    }
+
+    /**
+     * Blocking screen listing what is wrong with the parameter definitions.
+     * It stays up until a reload finds no errors.
+     */
+    showDefinitionsErrors(problems) {
+        let modal = document.getElementById('definitions-error-screen');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'definitions-error-screen';
+            modal.className = 'modal active';
+            modal.style.zIndex = '10000';
+            document.body.appendChild(modal);
+        }
+
+        const errors = problems.filter(problem => problem.severity === 'error');
+        const rows = (problems.length > 0 ? problems : [{ severity: 'error', line: null, message: 'No parameter groups defined' }])
+            .map(problem => `
+                <tr>
+                    <td style="padding: 4px 8px; white-space: nowrap; color: var(--text-muted);">${escapeHTML(problem.file || '')}${problem.line ? ` line ${problem.line}` : ''}</td>
+                    <td style="padding: 4px 8px; color: ${problem.severity === 'error' ? 'var(--status-error)' : 'var(--status-warning)'};">${problem.severity}</td>
+                    <td style="padding: 4px 8px;">${escapeHTML(problem.message)}</td>
+                </tr>
+            `).join('');
+
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 700px;">
+                <div class="modal-header">
+                    <h3>❌ Parameter Definitions Have Errors</h3>
+                </div>
+                <div class="modal-body">
+                    <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+                        The editor can't show parameters until ${errors.length === 1 ? 'this error is' : 'these errors are'} fixed.
+                        Watching the files: they reload as soon as you save them.
+                    </div>
+                    <table style="width: 100%; font-size: 12px; border-collapse: collapse; margin-bottom: 16px;">
+                        ${rows}
+                    </table>
+                    <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                        <button class="checkpoint-action-btn primary" id="definitions-retry">Reload Now</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        modal.querySelector('#definitions-retry')?.addEventListener('click', () => this.definitionsWatcher.poll(true));
+    }
+
+    hideDefinitionsErrors() {
+        const modal = document.getElementById('definitions-error-screen');
+        if (!modal) return;
+        modal.removeAttribute('id'); // A new error screen may open while this one fades out
+        modal.classList.remove('active');
+        setTimeout(() => modal.remove(), 300);
+    }
+
     /**
      * Finds an effect by name within a hierarchy.
      * @param {object} root - The root effect to start searching from.
@@ -312,17 +532,203 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
 
         console.log('Selected effect (for editing):', effectData.name);
         console.log('Root effect (for simulation):', rootEffectData.name);
+
+        // Edit with the definitions of the effect's library
+        const library = this.libraryManager.locateItem(effectData)?.library;
+        if (library) this.currentLibrary = library;
+        this.activateLibraryProfile(this.currentLibrary);
         
         // Update status bar
         this.updateStatusBar(effectData);
         
+        const inheritance = this.getInheritance(effectData);
+
         // Load the *clicked* effect into parameters and curves for editing
-        this.parameterManager.loadEffect(effectData);
+        this.parameterManager.loadEffect(effectData, this.describeInheritance(effectData, inheritance));
         this.curveEditor.loadEffectCurves(effectData);
         
         // Load the *entire hierarchy* into the timeline and renderer for simulation
         this.timelineManager.loadEffectHierarchy(this.rootEffect);
-        this.particleRenderer.loadEffectHierarchy(this.rootEffect);
+        this.particleRenderer.loadEffectHierarchy(this.rootEffect, inheritance);
+    }
+
+    /**
+     * Inheritance resolver for the library that contains an effect.
+     */
+    getInheritance(effect = this.selectedEffect) {
+        const library = this.libraryManager.locateItem(effect)?.library;
+        const items = library ? library.items : (this.rootEffect ? [this.rootEffect] : []);
+        return new ParamInheritance(items);
+    }
+
+    /**
+     * What the parameter panel needs to show inherited values (see ParameterManager.loadEffect).
+     */
+    describeInheritance(effect, inheritance) {
+        return {
+            mode: inheritance.getMode(effect),
+            template: effect.template || null,
+            hasParent: !!inheritance.getParent(effect),
+            sourceLabel: inheritance.describeSource(effect),
+            params: inheritance.getInheritedParams(effect),
+            templates: inheritance.getTemplateCandidates(effect)
+                .map(template => ({ guid: template.guid, name: inheritance.getPath(template) }))
+        };
+    }
+
+    async onInheritanceChanged({ effect, mode, template }) {
+        if (!ParamInheritance.MODES.includes(mode)) return;
+
+        const inheritance = this.getInheritance(effect);
+        if (mode === 'Template') {
+            template = template || inheritance.getTemplateCandidates(effect)[0]?.guid || null;
+        }
+
+        // Switching sources changes every value the effect doesn't override;
+        // let the user keep the current look or take the new source's values
+        const changes = this.diffInheritance(effect, inheritance, mode, template);
+        if (changes.length > 0) {
+            const choice = await this.confirmInheritanceChange(effect, mode, changes);
+            if (!choice) {
+                this.parameterManager.renderInheritanceBar(); // Restore the previous selection
+                return;
+            }
+            if (choice === 'keep') {
+                effect.params = effect.params || {};
+                changes.forEach(change => {
+                    effect.params[change.name] = change.current;
+                });
+            }
+        }
+
+        effect.inheritance = mode;
+        if (mode === 'Template') {
+            effect.template = template;
+        } else {
+            delete effect.template;
+        }
+
+        console.log(`Inheritance changed: ${effect.name} -> ${mode}`, effect.template || '');
+        this.setDirty(true);
+        if (effect === this.selectedEffect) {
+            this.selectEffect(this.selectedEffect, this.rootEffect);
+        }
+    }
+
+    onParameterVariationChanged({ name, range }) {
+        const effect = this.selectedEffect;
+        if (!effect) return;
+
+        effect.variations = effect.variations || {};
+        if (this.exporter.parser.hasVariation(name, range)) {
+            effect.variations[name] = range;
+        } else {
+            delete effect.variations[name];
+        }
+        this.particleRenderer.updateEffectVariation(effect.name, name, effect.variations[name] ?? null);
+    }
+
+    onParticleSystemChanged({ effect, system }) {
+        if (!CryEngineParameterParser.PARTICLE_SYSTEMS[system]) return;
+
+        effect.particleSystem = system;
+        console.log(`Particle system changed: ${effect.name} -> ${system}`);
+        if (effect === this.parameterManager.currentEffect) {
+            this.parameterManager.applyConditions();
+        }
+    }
+
+    /**
+     * Parameters whose effective value changes if `effect` switches to
+     * another inheritance mode and template. Overridden parameters never change.
+     * @returns {Array<{name: string, label: string, current: *, next: *}>}
+     */
+    diffInheritance(effect, inheritance, mode, template = null) {
+        const parser = this.exporter.parser;
+        const own = effect.params || {};
+        const before = inheritance.getInheritedParams(effect);
+        const after = inheritance.previewInheritedParams(effect, mode, template);
+
+        const changes = [];
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(name => {
+            const definition = parser.getParameter(name);
+            if (!definition || own[definition.name] !== undefined) return;
+
+            const defaultValue = ValueCodec.parse(definition.type, definition.default);
+            const current = ValueCodec.normalize(definition.type, before[name] ?? defaultValue);
+            const next = ValueCodec.normalize(definition.type, after[name] ?? defaultValue);
+            if (!ValueCodec.equals(definition.type, current, next)) {
+                changes.push({ name: definition.name, label: definition.label, current, next });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Previews the parameters an inheritance switch would change.
+     * @returns {Promise<'keep'|'adopt'|null>} Bake the current values, take
+     *   the new source's values, or cancel the switch.
+     */
+    confirmInheritanceChange(effect, mode, changes) {
+        return new Promise((resolve) => {
+            const format = (value) => escapeHTML(Array.isArray(value) ? value.join(', ') : String(value));
+            const rows = changes.map(change => `
+                <tr>
+                    <td style="padding: 4px 8px;">${escapeHTML(change.label || change.name)}</td>
+                    <td style="padding: 4px 8px; font-family: monospace;">${format(change.current)}</td>
+                    <td style="padding: 4px 8px; font-family: monospace; color: var(--accent-secondary);">${format(change.next)}</td>
+                </tr>
+            `).join('');
+
+            const modal = document.createElement('div');
+            modal.className = 'modal active';
+            modal.style.zIndex = '10000';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 560px;">
+                    <div class="modal-header">
+                        <h3>Change Inheritance</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 12px;">
+                            Switching "${escapeHTML(effect.name)}" to ${mode} inheritance changes
+                            ${changes.length} parameter${changes.length !== 1 ? 's' : ''} it doesn't override.
+                            Keep the current values as overrides, or adopt the new source's values?
+                        </div>
+                        <div style="max-height: 280px; overflow-y: auto; margin-bottom: 16px;">
+                            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                                <thead>
+                                    <tr style="text-align: left; color: var(--text-muted);">
+                                        <th style="padding: 4px 8px;">Parameter</th>
+                                        <th style="padding: 4px 8px;">Current</th>
+                                        <th style="padding: 4px 8px;">New Source</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rows}</tbody>
+                            </table>
+                        </div>
+                        <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                            <button class="checkpoint-action-btn" id="inheritance-cancel">Cancel</button>
+                            <button class="checkpoint-action-btn" id="inheritance-adopt">Adopt New Values</button>
+                            <button class="checkpoint-action-btn primary" id="inheritance-keep">Keep Current Values</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+
+            const close = (result) => {
+                modal.classList.remove('active');
+                setTimeout(() => modal.remove(), 300);
+                resolve(result);
+            };
+
+            modal.querySelector('.modal-close')?.addEventListener('click', () => close(null));
+            modal.querySelector('#inheritance-cancel')?.addEventListener('click', () => close(null));
+            modal.querySelector('#inheritance-adopt')?.addEventListener('click', () => close('adopt'));
+            modal.querySelector('#inheritance-keep')?.addEventListener('click', () => close('keep'));
+        });
     }
 
     updateStatusBar(effectData) {
@@ -342,10 +748,20 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         
         // Store in current effect data (the one being edited)
         if (this.selectedEffect) {
+            // Effects inheriting this value see the change too
+            this.getInheritance().getInheritors(this.selectedEffect, data.name).forEach(inheritor => {
+                this.particleRenderer.updateEffectParameter(inheritor.name, data.name, data.value);
+            });
+
             if (!this.selectedEffect.params) {
                 this.selectedEffect.params = {};
             }
-            this.selectedEffect.params[data.name] = data.value;
+            if (data.cleared) {
+                // Back to the inherited (or default) value
+                delete this.selectedEffect.params[data.name];
+            } else {
+                this.selectedEffect.params[data.name] = data.value;
+            }
         }
         
         // Update curves if parameter has curve
@@ -356,14 +772,13 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
 
     onCurveChanged(data) {
         console.log('Curve changed:', data);
+        if (!this.selectedEffect) return;
         
         // Store curve data in the effect being edited
-        if (this.selectedEffect) {
-            if (!this.selectedEffect.curves) {
-                this.selectedEffect.curves = {};
-            }
-            this.selectedEffect.curves[data.curve.toLowerCase()] = data.points;
+        if (!this.selectedEffect.curves) {
+            this.selectedEffect.curves = {};
         }
+        this.selectedEffect.curves[data.curve.toLowerCase()] = data.points.map(p => ({ ...p }));
         
         // Update parameters to reflect curve changes
         this.parameterManager.updateFromCurve(data);
@@ -423,6 +838,18 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         }
     }
     
+    onItemRenamed(item) {
+        // Simulation instances and timeline tracks are keyed by name, so
+        // rebuild them if the renamed effect is part of the simulated hierarchy
+        if (item.type !== 'effect' || !this.findEffectInHierarchy(this.rootEffect, item.name)) return;
+
+        this.timelineManager.loadEffectHierarchy(this.rootEffect);
+        this.particleRenderer.loadEffectHierarchy(this.rootEffect, this.getInheritance(this.rootEffect));
+        if (this.selectedEffect === item) {
+            this.updateStatusBar(item);
+        }
+    }
+    
     async exportLibrary() {
         console.log('💾 Starting CryEngine 3 export...');
         
@@ -434,24 +861,23 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
             return;
         }
         
-        // Validate effects
-        let hasErrors = false;
-        effectsToExport.forEach(effect => {
-            const errors = this.exporter.validateEffect(effect);
-            if (errors.length > 0) {
-                console.error('❌ Validation errors for', effect.name, ':', errors);
-                hasErrors = true;
-            }
-        });
+        // Validate effects (including nested children) against parameters.xml
+        const allEffects = this.exporter.flattenEffects(effectsToExport);
+        const problems = this.exporter.validateEffects(effectsToExport);
+        const errorCount = problems.filter(p => p.severity === 'error').length;
         
-        if (hasErrors) {
-            this.showNotification('Export Warning', 'Some effects have validation warnings. Check console.', 'warning');
-            // Continue with export anyway
+        if (problems.length > 0) {
+            this.problemsPanel.show();
+        }
+        
+        // Errors block the export unless the user overrides them
+        if (errorCount > 0 && !(await this.confirmExportWithErrors(errorCount))) {
+            console.log('Export cancelled due to validation errors');
+            return;
         }
         
         // Get library name
-        const libraryName = this.currentLibrary?.name || 'Exported_Effects';
-        const cleanName = libraryName.replace(/\.vfxlib$/, '').replace(/[\/]/g, '_').replace(/[^a-zA-Z0-9_-]/g, '_');
+        const cleanName = this.getExportName(this.currentLibrary);
         const defaultFilename = cleanName + '.xml';
         
         // Prompt for filename
@@ -473,94 +899,631 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         this.downloadFile(xmlContent, filename, 'text/xml');
         
         console.log('✅ Export complete!');
-        this.showNotification('Export Success', `Exported ${effectsToExport.length} effect(s) to ${filename}`, 'success');
+        this.showNotification('Export Success', `Exported ${allEffects.length} effect(s) to ${filename}`, 'success');
     }
     
-    gatherEffectData() {
-        console.log('📋 Gathering effect data for export...');
-        const effects = [];
+    /**
+     * The library name as written to the ParticleLibrary Name attribute and file name.
+     * @param {Object|null} library
+     */
+    getExportName(library) {
+        return this.exporter.getLibraryExportName(library);
+    }
+    
+    /**
+     * Asks whether to export even though validation found errors.
+     * @param {number} errorCount
+     * @returns {Promise<boolean>} True if the user chose to export anyway.
+     */
+    confirmExportWithErrors(errorCount) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal active';
+            modal.style.zIndex = '10000';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 500px;">
+                    <div class="modal-header">
+                        <h3>❌ Validation Errors</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+                            Validation found ${errorCount} error${errorCount !== 1 ? 's' : ''}. See the Problems panel for details.
+                            The exported library may not load correctly in CryEngine.
+                        </div>
+                        <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                            <button class="checkpoint-action-btn primary" id="validation-cancel">Fix Problems</button>
+                            <button class="checkpoint-action-btn danger" id="validation-override">Export Anyway</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            
+            document.body.appendChild(modal);
+            
+            const close = (result) => {
+                modal.classList.remove('active');
+                setTimeout(() => modal.remove(), 300);
+                resolve(result);
+            };
+            
+            modal.querySelector('.modal-close')?.addEventListener('click', () => close(false));
+            modal.querySelector('#validation-cancel')?.addEventListener('click', () => close(false));
+            modal.querySelector('#validation-override')?.addEventListener('click', () => close(true));
+        });
+    }
+
+    /**
+     * Validates every effect in the current library.
+     * @returns {Array<Object>} Problems from the ExportValidator.
+     */
+    validateLibrary() {
+        return this.exporter.validateEffects(this.gatherEffectData());
+    }
+
+    /**
+     * Selects the effect a problem belongs to and focuses its parameter row.
+     * @param {Object} problem - A problem from the ExportValidator.
+     */
+    revealProblem(problem) {
+        if (!this.libraryManager.selectItem(problem.effect)) {
+            this.showNotification('Problems', `${problem.effectName} is no longer in the library`, 'warning');
+            return;
+        }
         
-        // Get ALL effects from the library tree
-        if (this.currentLibrary && this.currentLibrary.items) {
-            console.log('  Scanning library:', this.currentLibrary.name);
-            this.traverseLibraryItems(this.currentLibrary.items, effects);
+        document.querySelector('.tab-btn[data-tab="parameters"]')?.click();
+        if (problem.param) {
+            this.parameterManager.focusParameter(problem.param);
         }
+    }
+
+    // --- Definition Profiles ---
+
+    /**
+     * Converts the selected (or current) library to another definition
+     * profile, after previewing which parameters get renamed or dropped.
+     */
+    async showProfileConversion() {
+        const library = this.libraryManager.getPasteTarget()?.library || this.currentLibrary;
+        if (!library) {
+            this.showNotification('Convert Profile', 'Select a library first', 'warning');
+            return;
+        }
+        const current = this.definitionProfiles.get(this.definitionProfiles.resolveId(library.profile));
+        const targets = this.definitionProfiles.list().filter(profile => profile !== current);
+        if (targets.length === 0) {
+            this.showNotification('Convert Profile', `${DefinitionProfiles.MANIFEST} defines no other profile`, 'warning');
+            return;
+        }
+
+        const target = await this.confirmProfileConversion(library, current, targets);
+        if (!target) return;
+
+        const report = this.profileConverter.convert(library, target.id);
+        console.log(`🔀 Converted ${library.name} from ${current.name} to ${target.name}:`, report.map(entry => `${entry.effectName}: ${entry.message}`));
+
+        if (library === this.currentLibrary) {
+            if (this.selectedEffect) {
+                this.selectEffect(this.selectedEffect, this.rootEffect);
+            } else {
+                this.activateLibraryProfile(library);
+                this.parameterManager.render();
+            }
+        }
+        this.setDirty(true);
+        this.problemsPanel.scheduleRefresh();
+
+        const count = (change) => report.filter(entry => entry.change === change).length;
+        this.showNotification('Profile Converted',
+            `${library.name} now uses ${target.name}: ${count('renamed')} renamed, ${count('dropped')} dropped`,
+            count('dropped') > 0 ? 'warning' : 'success');
+    }
+
+    /**
+     * Asks for the profile to convert a library to, showing what the
+     * conversion would change for the chosen one.
+     * @returns {Promise<Object|null>} The target profile, or null if cancelled.
+     */
+    confirmProfileConversion(library, current, targets) {
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal active';
+            modal.style.zIndex = '10000';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 640px;">
+                    <div class="modal-header">
+                        <h3>🔀 Convert Library Profile</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div style="margin-bottom: 16px;">
+                            <label style="display: block; margin-bottom: 8px; color: var(--text-primary); font-weight: 500;">
+                                Convert "${escapeHTML(library.name)}" from ${escapeHTML(current.name)} to:
+                            </label>
+                            <select id="profile-target"
+                                    style="width: 100%; padding: 8px; background: var(--bg-tertiary);
+                                           border: 1px solid var(--border-color); border-radius: 4px;
+                                           color: var(--text-primary); font-size: 13px;">
+                                ${targets.map(profile => `<option value="${escapeHTML(profile.id)}">${escapeHTML(profile.name)} (ParticleVersion ${escapeHTML(profile.particleVersion)})</option>`).join('')}
+                            </select>
+                        </div>
+                        <div id="profile-report" style="max-height: 280px; overflow-y: auto; margin-bottom: 16px;"></div>
+                        <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                            <button class="checkpoint-action-btn" id="profile-cancel">Cancel</button>
+                            <button class="checkpoint-action-btn primary" id="profile-convert">Convert</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(modal);
+
+            const select = modal.querySelector('#profile-target');
+            const renderReport = () => {
+                const report = this.profileConverter.convert(library, select.value, { apply: false });
+                const rows = report.map(entry => `
+                    <tr>
+                        <td style="padding: 4px 8px;">${escapeHTML(entry.effectName)}</td>
+                        <td style="padding: 4px 8px; color: ${entry.change === 'dropped' ? 'var(--status-warning)' : 'var(--accent-secondary)'};">${entry.change}</td>
+                        <td style="padding: 4px 8px;">${escapeHTML(entry.message)}</td>
+                    </tr>
+                `).join('');
+                modal.querySelector('#profile-report').innerHTML = report.length === 0
+                    ? '<div style="font-size: 13px; color: var(--text-secondary);">Every parameter converts as is.</div>'
+                    : `
+                        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                            <thead>
+                                <tr style="text-align: left; color: var(--text-muted);">
+                                    <th style="padding: 4px 8px;">Effect</th>
+                                    <th style="padding: 4px 8px;">Change</th>
+                                    <th style="padding: 4px 8px;">Details</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    `;
+            };
+            select.addEventListener('change', renderReport);
+            renderReport();
+
+            const close = (result) => {
+                modal.classList.remove('active');
+                setTimeout(() => modal.remove(), 300);
+                resolve(result);
+            };
+
+            modal.querySelector('.modal-close')?.addEventListener('click', () => close(null));
+            modal.querySelector('#profile-cancel')?.addEventListener('click', () => close(null));
+            modal.querySelector('#profile-convert')?.addEventListener('click', () => close(this.definitionProfiles.get(select.value)));
+        });
+    }
+
+    // --- Native Project Save/Load ---
+
+    /**
+     * Saves the project under its current filename, or asks for one first.
+     */
+    async saveProject() {
+        if (!this.projectFilename) {
+            return this.saveProjectAs();
+        }
+        this.writeProject(this.projectFilename);
+    }
+
+    async saveProjectAs() {
+        const baseName = (this.projectFilename || this.currentLibrary?.name || 'Untitled')
+            .replace(/\.(vfxproj|vfxlib)$/, '')
+            .replace(/[\/]/g, '_');
+        const filename = await this.promptForFilename(
+            baseName + ProjectSerializer.EXTENSION,
+            { title: '💾 Save Project', confirmLabel: 'Save', extension: ProjectSerializer.EXTENSION }
+        );
         
-        // If no effects found in library, export current selected effect
-        if (effects.length === 0 && (this.rootEffect)) {
-            console.log('  No library effects found, capturing current root effect hierarchy...');
+        if (!filename) {
+            console.log('Save cancelled by user');
+            return;
+        }
+        this.writeProject(filename);
+    }
+
+    writeProject(filename) {
+        const content = this.projectSerializer.serialize({
+            libraries: this.libraryManager.libraries,
+            currentLibrary: this.currentLibrary?.name || null,
+            checkpoints: checkpointManager.exportCheckpoints()
+        });
+        
+        this.downloadFile(content, filename, 'application/json');
+        this.projectFilename = filename;
+        this.setDirty(false);
+        
+        console.log('✅ Project saved:', filename);
+        this.showNotification('Project Saved', `Saved ${filename}`, 'success');
+    }
+
+    /**
+     * Lets the user pick a native project file and replaces the editor state with it.
+     */
+    async openProject() {
+        if (!(await this.confirmDiscardChanges())) return;
+
+        const file = await this.promptForFile(ProjectSerializer.EXTENSION + ',.json');
+        if (!file) {
+            console.log('Open cancelled by user');
+            return;
+        }
+
+        let project;
+        try {
+            project = this.projectSerializer.deserialize(file.text);
+        } catch (error) {
+            console.error('❌ Open failed:', error);
+            this.showNotification('Open Error', error.message, 'error');
+            return;
+        }
+
+        this.loadProject(project);
+        this.projectFilename = file.name;
+
+        if (project.notices.length > 0) {
+            // The migrated names are only written back on the next save
+            console.warn('⚠️ Migrated parameters in', file.name, ':', project.notices);
+            this.setDirty(true);
+            this.showNotification('Project Opened', `Opened ${file.name} and migrated ${project.notices.length} renamed parameter(s). Check console.`, 'warning');
+        } else {
+            this.setDirty(false);
+            this.showNotification('Project Opened', `Opened ${file.name}`, 'success');
+        }
+    }
+
+    /**
+     * Replaces the loaded libraries, selection and checkpoints with a project's.
+     * @param {{libraries: Array, currentLibrary: string|null, checkpoints: Object}} project
+     */
+    loadProject(project) {
+        this.selectedEffect = null;
+        this.rootEffect = null;
+        this.particleRenderer.clear();
+        this.timelineManager.clear();
+
+        this.currentLibrary = project.libraries.find(lib => lib.name === project.currentLibrary)
+            || project.libraries[0]
+            || null;
+        this.libraryManager.loadLibraries(project.libraries);
+        this.activateLibraryProfile(this.currentLibrary);
+        checkpointManager.importCheckpoints(project.checkpoints);
+    }
+
+    setDirty(isDirty) {
+        this.isDirty = isDirty;
+        this.updateProjectStatus();
+    }
+
+    updateProjectStatus() {
+        const name = this.projectFilename || 'Untitled';
+        document.title = `${this.isDirty ? '• ' : ''}${name} - VFX Editor v2.0`;
+
+        const statusEl = document.getElementById('project-status');
+        if (statusEl) {
+            statusEl.textContent = this.isDirty ? `${name} (unsaved)` : name;
+            statusEl.classList.toggle('dirty', this.isDirty);
+        }
+    }
+
+    /**
+     * Asks whether unsaved changes may be discarded.
+     * @returns {Promise<boolean>} True if there are no changes or the user agreed.
+     */
+    confirmDiscardChanges() {
+        if (!this.isDirty) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal active';
+            modal.style.zIndex = '10000';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 500px;">
+                    <div class="modal-header">
+                        <h3>⚠️ Unsaved Changes</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 16px;">
+                            ${escapeHTML(this.projectFilename || 'This project')} has unsaved changes. Discard them?
+                        </div>
+                        <div style="display: flex; gap: 8px; justify-content: flex-end;">
+                            <button class="checkpoint-action-btn" id="discard-cancel">Cancel</button>
+                            <button class="checkpoint-action-btn danger" id="discard-confirm">Discard Changes</button>
+                        </div>
+                    </div>
+                </div>
+            `;
             
-            // We need to traverse the rootEffect hierarchy
-            const traverseAndAdd = (effect) => {
-                effects.push(effect);
-                if (effect.items) {
-                    effect.items.forEach(traverseAndAdd);
-                }
+            document.body.appendChild(modal);
+            
+            const close = (result) => {
+                modal.classList.remove('active');
+                setTimeout(() => modal.remove(), 300);
+                resolve(result);
             };
-            traverseAndAdd(this.rootEffect);
+            
+            modal.querySelector('.modal-close')?.addEventListener('click', () => close(false));
+            modal.querySelector('#discard-cancel')?.addEventListener('click', () => close(false));
+            modal.querySelector('#discard-confirm')?.addEventListener('click', () => close(true));
+        });
+    }
+
+    /**
+     * Lets the user pick a CryEngine ParticleLibrary XML file and adds it to the library tree.
+     */
+    async importLibraryFromFile() {
+        const file = await this.promptForFile('.xml');
+        if (!file) {
+            console.log('Import cancelled by user');
+            return;
+        }
+
+        let result;
+        let profile = this.definitionProfiles.getActive();
+        try {
+            const fallbackName = file.name.replace(/\.xml$/i, '');
+            result = this.importer.importLibrary(file.text, fallbackName);
+
+            // Re-read with the profile the file was written for, if there is one
+            const match = this.definitionProfiles.findByParticleVersion(result.particleVersion);
+            if (match && match !== profile) {
+                profile = match;
+                result = this.definitionProfiles.use(profile.id, () => this.importer.importLibrary(file.text, fallbackName));
+            }
+        } catch (error) {
+            console.error('❌ Import failed:', error);
+            this.showNotification('Import Error', error.message, 'error');
+            return;
+        }
+
+        const { library, warnings } = result;
+        library.profile = profile.id;
+        if (result.particleVersion && result.particleVersion !== profile.particleVersion) {
+            warnings.push(`ParticleVersion ${result.particleVersion} matches no profile, imported as ${profile.name}`);
         }
         
-        console.log(`  Total effects to export: ${effects.length}`);
-        return effects;
+        // Replace an already loaded library of the same name, otherwise append
+        const libraries = this.libraryManager.libraries.filter(lib => lib.name !== library.name);
+        libraries.push(library);
+        this.currentLibrary = library;
+        this.libraryManager.loadLibraries(libraries);
+        this.activateLibraryProfile(library);
+        this.setDirty(true);
+
+        if (warnings.length > 0) {
+            console.warn('⚠️ Import warnings for', library.name, ':', warnings);
+            this.showNotification('Import Warning', `Imported ${library.name} with ${warnings.length} warning(s). Check console.`, 'warning');
+        } else {
+            this.showNotification('Import Success', `Imported ${library.name}`, 'success');
+        }
     }
-    
-    traverseLibraryItems(items, effects) {
-        items.forEach(item => {
-            if (item.type === 'effect') {
-                console.log('    Found effect:', item.name);
-                
-                // *** FIX: Read existing data from the item object ***
-                // This ensures that changes made to effects (even if not
-                // currently selected) are preserved for export.
-                const effectData = {
-                    name: item.name,
-                    params: item.params || {}, // Load existing params
-                    expressions: item.expressions || {}, // Load existing expressions
-                    curves: item.curves || {}, // Load existing curves
-                    timeline: item.timeline || { start: 0, duration: 5.0 }, // Load existing timeline
-                    children: item.items || [], // Use 'items' for children
-                    isVisible: item.isVisible !== false,
-                    isLocked: item.isLocked || false
-                };
-                
-                // If this is the currently selected *root* effect, we need to
-                // replace this item with the in-memory version.
-                if (this.rootEffect && this.rootEffect.name === item.name) {
-                    // This is complex. For now, we assume the library data is
-                    // what we want to export, and live data is just for simulation.
-                    // This part needs refinement if live data should *always*
-                    // overwrite the library on export.
-                    
-                    // Let's assume the in-memory `rootEffect` is the source of truth
-                    // if it's the one being exported.
-                    
-                    // This logic is tricky. Let's simplify:
-                    // The `gatherEffectData` will just pull from the library structure.
-                    // The live, in-memory `this.rootEffect` (which is a copy)
-                    // is what's being modified. We need to update the *original*
-                    // library data.
-                    
-                    // `this.selectedEffect` and `this.rootEffect` are references to
-                    // objects *from* the library data. So, modifications *should*
-                    // be persistent.
-                    
-                    effects.push(effectData);
-                    if (item.items) {
-                        this.traverseLibraryItems(item.items, effects);
-                    }
 
-                } else {
-                     effects.push(effectData);
-                    if (item.items) {
-                        this.traverseLibraryItems(item.items, effects);
-                    }
-                }
+    // --- Clipboard: effects as CryEngine <Particles> XML ---
 
-            } else if (item.type === 'folder' && item.items) {
-                // Recursively traverse folders
-                this.traverseLibraryItems(item.items, effects);
-            }
+    /**
+     * Puts the selected library effect (with its children) on the system
+     * clipboard as a <Particles> fragment, so it can be pasted into Sandbox,
+     * a chat, or back into the editor.
+     * @param {{cut: boolean}} [options] - Remove the effect after copying.
+     */
+    async copySelectedEffect({ cut = false } = {}) {
+        const item = this.libraryManager.selectedData;
+        if (!item || item.type !== 'effect') {
+            this.showNotification(cut ? 'Cut' : 'Copy', 'Select an effect in the library first', 'warning');
+            return;
+        }
+        if (cut && item.isLocked) {
+            this.showNotification('Cut', `${item.name} is locked`, 'warning');
+            return;
+        }
+
+        const profile = this.libraryManager.locateItem(item)?.library.profile;
+        const xml = this.definitionProfiles.use(profile, () =>
+            this.exporter.generateParticleXML(this.exporter.buildEffectData(item, item.name, this.getInheritance(item)), 0));
+        if (!(await this.writeClipboard(xml))) {
+            this.showNotification('Clipboard Error', 'Could not write to the clipboard', 'error');
+            return;
+        }
+
+        if (cut) {
+            this.removeEffect(item);
+        }
+        console.log(`📋 ${cut ? 'Cut' : 'Copied'} ${item.name} as CryEngine XML`);
+        this.showNotification(cut ? 'Cut' : 'Copy', `${item.name} copied as CryEngine XML`, 'success');
+    }
+
+    /**
+     * Creates new effects from <Particles> XML on the clipboard, under the
+     * selected folder (or next to the selected effect).
+     */
+    async pasteEffects() {
+        const target = this.libraryManager.getPasteTarget()
+            || (this.currentLibrary ? { library: this.currentLibrary, items: this.currentLibrary.items } : null);
+        if (!target) {
+            this.showNotification('Paste Error', 'Select a library or folder to paste into', 'error');
+            return;
+        }
+
+        const text = await this.readClipboard();
+        if (text === null) return;
+        if (!text.trim()) {
+            this.showNotification('Paste', 'The clipboard is empty', 'warning');
+            return;
+        }
+
+        let result;
+        try {
+            result = this.definitionProfiles.use(target.library.profile, () => this.importer.importParticles(text));
+        } catch (error) {
+            console.error('❌ Paste failed:', error);
+            this.showNotification('Paste Error', "Clipboard doesn't contain particle XML. Check console.", 'error');
+            return;
+        }
+
+        // Dotted names from a library (e.g. "Sparks.Impact") become folders
+        const pasted = [];
+        result.effects.forEach(effect => this.importer.insertEffect(pasted, effect));
+        pasted.forEach(item => {
+            item.name = this.uniqueItemName(item.name, target.items);
         });
+
+        this.libraryManager.insertItems(pasted, target.items);
+        this.setDirty(true);
+
+        const count = this.importer.countEffects(pasted);
+        if (result.warnings.length > 0) {
+            console.warn('⚠️ Paste warnings:', result.warnings);
+            this.showNotification('Paste Warning', `Pasted ${count} effect(s) with ${result.warnings.length} warning(s). Check console.`, 'warning');
+        } else {
+            this.showNotification('Paste', `Pasted ${count} effect(s) into ${target.library.name}`, 'success');
+        }
+    }
+
+    /**
+     * Removes an effect from the library, dropping it from the simulation
+     * if it was part of the loaded hierarchy.
+     */
+    removeEffect(item) {
+        const inSimulation = this.containsItem(this.rootEffect, item);
+        const wasEditing = this.containsItem(item, this.selectedEffect);
+
+        this.libraryManager.removeItem(item);
+        this.setDirty(true);
+
+        if (!inSimulation) return;
+        if (item === this.rootEffect) {
+            this.selectedEffect = null;
+            this.rootEffect = null;
+            this.particleRenderer.clear();
+            this.timelineManager.clear();
+        } else {
+            // A child of the simulated effect was removed; reload the hierarchy
+            this.selectEffect(wasEditing ? this.rootEffect : this.selectedEffect, this.rootEffect);
+        }
+    }
+
+    /**
+     * True if `item` is `root` or anywhere in its hierarchy (by reference).
+     */
+    containsItem(root, item) {
+        if (!root || !item) return false;
+        return root === item || (root.items || []).some(child => this.containsItem(child, item));
+    }
+
+    uniqueItemName(name, siblings) {
+        const taken = new Set(siblings.map(item => item.name));
+        if (!taken.has(name)) return name;
+
+        let counter = 1;
+        while (taken.has(`${name}_${counter}`)) counter++;
+        return `${name}_${counter}`;
+    }
+
+    async writeClipboard(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.warn('Clipboard API unavailable, falling back to execCommand:', error);
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.cssText = 'position: fixed; opacity: 0;';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand?.('copy') || false;
+        textarea.remove();
+        return copied;
+    }
+
+    /**
+     * Reads the clipboard text. Browsers may block reading, in which case
+     * the user pastes into a dialog instead.
+     * @returns {Promise<string|null>} The text, or null if cancelled.
+     */
+    async readClipboard() {
+        try {
+            return await navigator.clipboard.readText();
+        } catch (error) {
+            console.warn('Clipboard read blocked, asking for manual paste:', error);
+        }
+
+        return new Promise((resolve) => {
+            const modal = document.createElement('div');
+            modal.className = 'modal active';
+            modal.style.zIndex = '10000';
+            modal.innerHTML = `
+                <div class="modal-content" style="max-width: 600px;">
+                    <div class="modal-header">
+                        <h3>📋 Paste Particle XML</h3>
+                        <button class="modal-close">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 8px;">
+                            The browser blocked clipboard access. Paste the &lt;Particles&gt; XML here (Ctrl+V):
+                        </div>
+                        <textarea id="paste-xml" rows="12"
+                                  style="width: 100%; padding: 10px; background: var(--bg-tertiary);
+                                         border: 1px solid var(--border-color); border-radius: 4px;
+                                         color: var(--text-primary); font-family: monospace; font-size: 12px;"></textarea>
+                        <div style="margin-top: 16px; display: flex; gap: 8px; justify-content: flex-end;">
+                            <button class="checkpoint-action-btn" id="paste-cancel">Cancel</button>
+                            <button class="checkpoint-action-btn primary" id="paste-confirm">Paste</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            
+            document.body.appendChild(modal);
+            
+            const textarea = modal.querySelector('#paste-xml');
+            textarea.focus();
+            
+            const close = (text) => {
+                modal.classList.remove('active');
+                setTimeout(() => modal.remove(), 300);
+                resolve(text);
+            };
+            
+            modal.querySelector('.modal-close')?.addEventListener('click', () => close(null));
+            modal.querySelector('#paste-cancel')?.addEventListener('click', () => close(null));
+            modal.querySelector('#paste-confirm')?.addEventListener('click', () => close(textarea.value));
+        });
+    }
+
+    /**
+     * Gathers the library as a tree of effect data for export
+     * (see CryEngineExporter.collectLibraryEffects).
+     * @param {Object} [library] - The library to gather; defaults to the current one.
+     * @returns {Array<Object>} The top-level effects.
+     */
+    gatherEffectData(library = this.currentLibrary) {
+        console.log('📋 Gathering effect data for export...');
+        const effects = [];
+        
+        // Get ALL effects from the library tree.
+        // `this.selectedEffect` and `this.rootEffect` are references to
+        // objects *from* the library data, so edits made to any effect
+        // (even if not currently selected) are already in the tree.
+        if (library && library.items) {
+            console.log('  Scanning library:', library.name);
+            effects.push(...this.exporter.collectLibraryEffects(library.items));
+        }
+        
+        // If no effects found in the current library, export current selected effect
+        if (effects.length === 0 && library === this.currentLibrary && this.rootEffect) {
+            console.log('  No library effects found, capturing current root effect hierarchy...');
+            effects.push(this.exporter.buildEffectData(this.rootEffect, this.rootEffect.name));
+        }
+        
+        console.log(`  Total effects to export: ${this.exporter.flattenEffects(effects).length}`);
+        return effects;
     }
     
     showExportPreview() {
@@ -577,7 +1540,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                     <button class="modal-close">&times;</button>
                 </div>
                 <div class="modal-body">
-                    <pre style="background: var(--bg-tertiary); padding: 16px; border-radius: 4px; overflow: auto; max-height: 400px;">${preview}</pre>
+                    <pre style="background: var(--bg-tertiary); padding: 16px; border-radius: 4px; overflow: auto; max-height: 400px;">${escapeHTML(preview)}</pre>
                     <div style="margin-top: 16px; display: flex; gap: 8px; justify-content: flex-end;">
                         <button class="checkpoint-action-btn">Cancel</button>
                         <button class="checkpoint-action-btn primary" id="export-confirm">Export</button>
@@ -613,7 +1576,69 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         URL.revokeObjectURL(url);
     }
     
-    promptForFilename(defaultName) {
+    /**
+     * Opens the browser file picker and reads the chosen file as text.
+     * @param {string} accept - The accepted file extensions (e.g. ".xml").
+     * @returns {Promise<{name: string, text: string}|null>} The file, or null if cancelled.
+     */
+    promptForFile(accept) {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.addEventListener('change', async () => {
+                const file = input.files[0];
+                resolve(file ? { name: file.name, text: await file.text() } : null);
+            });
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
+    
+    /**
+     * Opens the browser folder picker.
+     * @returns {Promise<FileList|null>} Every file under the folder, or null if cancelled.
+     */
+    promptForFolder() {
+        return new Promise((resolve) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.webkitdirectory = true;
+            input.addEventListener('change', () => resolve(input.files.length > 0 ? input.files : null));
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
+
+    /**
+     * Fills the asset catalog from the textures in a game folder.
+     */
+    async loadAssetFolder() {
+        const files = await this.promptForFolder();
+        if (!files) return;
+        assetCatalog.loadFolder(files);
+        this.showNotification('Asset Catalog', `${assetCatalog.entries.size} textures from ${assetCatalog.source}`,
+            assetCatalog.isLoaded() ? 'success' : 'warning');
+    }
+
+    /**
+     * Fills the asset catalog from an index file, one path per line.
+     */
+    async loadAssetIndex() {
+        const file = await this.promptForFile('.txt,.lst');
+        if (!file) return;
+        assetCatalog.loadIndex(file.text, file.name);
+        this.showNotification('Asset Catalog', `${assetCatalog.entries.size} textures from ${file.name}`,
+            assetCatalog.isLoaded() ? 'success' : 'warning');
+    }
+
+    promptForFilename(defaultName, options = {}) {
+        const {
+            title = '💾 Export Particle Library',
+            confirmLabel = 'Export',
+            extension = '.xml'
+        } = options;
+        
         // Show modal dialog to confirm/edit filename
         return new Promise((resolve) => {
             const modal = document.createElement('div');
@@ -622,13 +1647,13 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
             modal.innerHTML = `
                 <div class="modal-content" style="max-width: 500px;">
                     <div class="modal-header">
-                        <h3>💾 Export Particle Library</h3>
+                        <h3>${title}</h3>
                         <button class="modal-close">&times;</button>
                     </div>
                     <div class="modal-body">
                         <div style="margin-bottom: 16px;">
                             <label style="display: block; margin-bottom: 8px; color: var(--text-primary); font-weight: 500;">Filename:</label>
-                            <input type="text" id="export-filename" value="${defaultName}" 
+                            <input type="text" id="export-filename" value="${escapeHTML(defaultName)}" 
                                    style="width: 100%; padding: 10px; background: var(--bg-tertiary); 
                                           border: 1px solid var(--border-color); border-radius: 4px; 
                                           color: var(--text-primary); font-size: 14px;">
@@ -638,7 +1663,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                         </div>
                         <div style="display: flex; gap: 8px; justify-content: flex-end;">
                             <button class="checkpoint-action-btn" id="export-cancel">Cancel</button>
-                            <button class="checkpoint-action-btn primary" id="export-confirm">Export</button>
+                            <button class="checkpoint-action-btn primary" id="export-confirm">${confirmLabel}</button>
                         </div>
                     </div>
                 </div>
@@ -662,7 +1687,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
             modal.querySelector('#export-confirm')?.addEventListener('click', () => {
                 const filename = input.value.trim();
                 if (filename) {
-                    close(filename.endsWith('.xml') ? filename : filename + '.xml');
+                    close(filename.endsWith(extension) ? filename : filename + extension);
                 }
             });
             
@@ -671,7 +1696,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                 if (e.key === 'Enter') {
                     const filename = input.value.trim();
                     if (filename) {
-                        close(filename.endsWith('.xml') ? filename : filename + '.xml');
+                        close(filename.endsWith(extension) ? filename : filename + extension);
                     }
                 } else if (e.key === 'Escape') {
                     close(null);
@@ -686,6 +1711,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
             libraries: [
                 {
                     name: 'Ships/Thrusters.vfxlib',
+                    profile: 'main',
                     items: [
                         {
                             name: 'Main Thrusters',
@@ -695,6 +1721,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                                     name: 'Thruster_Main', 
                                     type: 'effect', 
                                     params: { 'fCount': 150, 'fParticleLifeTime': 2.0, 'fSize': 1.2, 'cColor': '#ff8833' }, 
+                                    variations: { 'fParticleLifeTime': 0.4, 'fSpeed': 1.0, 'vVelocity': [1, 0, 0] },
                                     curves: {}, 
                                     expressions: {},
                                     timeline: { start: 0, duration: 5.0 },
@@ -711,7 +1738,16 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                                         { 
                                             name: 'Thruster_Sparks', 
                                             type: 'effect', 
-                                            params: { 'fCount': 20, 'fParticleLifeTime': 0.5, 'fSize': 0.2, 'cColor': '#ffff99', 'fSpeed': 15.0, 'fGravityScale': 0.5 }, 
+                                            params: {
+                                                'fCount': 20, 'fParticleLifeTime': 0.5, 'fSize': 0.2, 'cColor': '#ffff99', 'fSpeed': 15.0, 'fGravityScale': 0.5,
+                                                // White-hot sparks cooling to dark red
+                                                'cColorOverLife': [
+                                                    { t: 0, color: '#ffffff', intensity: 4 },
+                                                    { t: 0.5, color: '#ffaa44', intensity: 1.5 },
+                                                    { t: 1, color: '#661100', intensity: 1 }
+                                                ]
+                                            },
+                                            variations: { 'fParticleLifeTime': 0.2, 'fSpeed': 5.0, 'vVelocity': [4, 0, 0] },
                                             curves: {}, 
                                             expressions: {},
                                             timeline: { start: 0.2, duration: 4.8 },
@@ -732,6 +1768,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                                     name: 'Thruster_Boost', 
                                     type: 'effect', 
                                     params: { 'fCount': 500, 'fSpeed': 20.0, 'cColor': '#66ccff' }, 
+                                    variations: { 'fSpeed': 4.0, 'vVelocity': [1.5, 0, 0] },
                                     curves: {}, 
                                     expressions: {},
                                     timeline: { start: 1.0, duration: 2.5 },
@@ -767,6 +1804,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                 },
                 {
                     name: 'Weapons/Impacts.vfxlib',
+                    profile: 'main',
                     items: [
                         {
                             name: 'Energy Impacts',
@@ -796,6 +1834,7 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
                 },
                 {
                     name: 'Environment/Weather.vfxlib',
+                    profile: 'main',
                     items: [
                         { 
                             name: 'Rain_Heavy', 
@@ -846,8 +1885,8 @@ Example: size = baseSize * (1 - age / lifetime)"></textarea>
         };
         
         toast.innerHTML = `
-            <div class="toast-title">${iconMap[type] || ''} ${title}</div>
-            <div class="toast-message">${message}</div>
+            <div class="toast-title">${iconMap[type] || ''} ${escapeHTML(title)}</div>
+            <div class="toast-message">${escapeHTML(message)}</div>
         `;
         
         document.body.appendChild(toast);
@@ -0,0 +1,217 @@
+// Asset Catalog - The project's texture paths, for the asset picker widget
+// Loaded from an index file (assets.txt next to the editor by default, one
+// path per line) or from a game folder the user picks. Paths are relative to
+// the game folder, e.g. "textures/particles/smoke.dds", and compared the way
+// the engine does: case-insensitive, with forward slashes.
+// PNG/JPG files double as thumbnails, also for a texture with the same name
+// (smoke.png previews smoke.dds).
+
+const fetchText = async (path) => {
+    const response = await fetch(path, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${path}: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+};
+
+export class AssetCatalog {
+
+    static INDEX = 'assets.txt';
+    static TEXTURE_EXTENSIONS = ['dds', 'tif', 'tga', 'png', 'jpg', 'jpeg'];
+    static PREVIEW_EXTENSIONS = ['png', 'jpg', 'jpeg'];
+    static RECENT_KEY = 'vfxEditor.recentAssets';
+    static MAX_RECENT = 8;
+
+    constructor() {
+        this.entries = new Map(); // Normalized path -> {path, preview}
+        this.source = null; // Where the entries came from, for display
+        this.objectUrls = []; // Thumbnails of a picked folder, released on the next load
+        this.recent = this.loadRecent();
+    }
+
+    /**
+     * The form paths are compared in.
+     */
+    static normalizePath(path) {
+        return String(path ?? '').trim().replace(/\\/g, '/').replace(/^\.?\/+/, '').toLowerCase();
+    }
+
+    static getExtension(path) {
+        const match = /\.([a-z0-9]+)$/i.exec(path);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Reads the default index file. A missing index leaves the catalog empty,
+     * which turns the missing-asset warnings off.
+     * @param {function(string): (string|Promise<string>)} [readText]
+     */
+    async loadDefault(readText = fetchText) {
+        try {
+            this.loadIndex(await readText(AssetCatalog.INDEX), AssetCatalog.INDEX, '');
+        } catch (error) {
+            console.log(`🖼️ No ${AssetCatalog.INDEX} (${error.message}), asset paths are not checked`);
+        }
+    }
+
+    /**
+     * Loads an index file: one path per line, # starts a comment.
+     * @param {string} text
+     * @param {string} source - Shown in the picker, e.g. the file name.
+     * @param {string|null} [baseUrl] - Where the listed files can be fetched
+     *   from, for thumbnails; null if they can't be.
+     */
+    loadIndex(text, source, baseUrl = null) {
+        const paths = text.split(/\r?\n/)
+            .map(line => line.replace(/#.*/, '').trim().replace(/\\/g, '/'))
+            .filter(Boolean);
+        this.setEntries(paths, source, (path) => (baseUrl === null ? null : baseUrl + path));
+    }
+
+    /**
+     * Loads every texture under a folder picked with <input webkitdirectory>.
+     * The picked folder is taken as the game folder.
+     * @param {FileList|Array<File>} files
+     */
+    loadFolder(files) {
+        const list = Array.from(files);
+        const folder = list[0]?.webkitRelativePath.split('/')[0] || 'folder';
+        const byPath = new Map();
+        list.forEach(file => {
+            const path = (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name;
+            if (AssetCatalog.TEXTURE_EXTENSIONS.includes(AssetCatalog.getExtension(path))) {
+                byPath.set(path, file);
+            }
+        });
+
+        this.releaseThumbnails();
+        this.setEntries([...byPath.keys()], folder, (path) => {
+            const url = URL.createObjectURL(byPath.get(path));
+            this.objectUrls.push(url);
+            return url;
+        });
+    }
+
+    /**
+     * Replaces the catalog. Every texture gets the thumbnail of the image
+     * with its name, if the catalog has one.
+     * @param {Array<string>} paths
+     * @param {string} source
+     * @param {function(string): ?string} previewUrl - URL of a listed PNG/JPG.
+     */
+    setEntries(paths, source, previewUrl) {
+        const stem = (path) => AssetCatalog.normalizePath(path).replace(/\.[a-z0-9]+$/, '');
+        const previews = new Map();
+        paths.filter(path => AssetCatalog.PREVIEW_EXTENSIONS.includes(AssetCatalog.getExtension(path)))
+            .forEach(path => {
+                if (!previews.has(stem(path))) previews.set(stem(path), path);
+            });
+
+        this.entries.clear();
+        const urls = new Map(); // One URL per image, however many textures it previews
+        paths.forEach(path => {
+            const image = previews.get(stem(path));
+            if (image && !urls.has(image)) urls.set(image, previewUrl(image));
+            this.entries.set(AssetCatalog.normalizePath(path), { path, preview: image ? urls.get(image) : null });
+        });
+        this.source = source;
+
+        console.log(`🖼️ Asset catalog: ${this.entries.size} textures from ${source}`);
+        document.dispatchEvent(new CustomEvent('assetCatalogChanged', { detail: { catalog: this } }));
+    }
+
+    releaseThumbnails() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
+    isLoaded() {
+        return this.entries.size > 0;
+    }
+
+    has(path) {
+        return this.entries.has(AssetCatalog.normalizePath(path));
+    }
+
+    get(path) {
+        return this.entries.get(AssetCatalog.normalizePath(path)) || null;
+    }
+
+    /**
+     * Entries matching a fuzzy query, best first. An empty query lists everything.
+     * @returns {Array<{path: string, preview: ?string}>}
+     */
+    search(query, limit = 50) {
+        const needle = AssetCatalog.normalizePath(query).replace(/\s+/g, '');
+        const entries = [...this.entries.values()];
+        if (!needle) return entries.slice(0, limit);
+
+        return entries
+            .map(entry => ({ entry, score: AssetCatalog.fuzzyScore(needle, entry.path.toLowerCase()) }))
+            .filter(result => result.score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(result => result.entry);
+    }
+
+    /**
+     * Scores `text` for a query whose characters all appear in it, in order;
+     * null otherwise. Matches within the file name score higher than ones
+     * spread over the folders, as do runs of consecutive characters and
+     * matches at the start of a word.
+     */
+    static fuzzyScore(query, text) {
+        const nameStart = text.lastIndexOf('/') + 1;
+        const inName = AssetCatalog.subsequenceScore(query, text, nameStart);
+        if (inName !== null) {
+            return inName + 10 + (text.slice(nameStart).includes(query) ? 10 : 0) - text.length * 0.01;
+        }
+        const inPath = AssetCatalog.subsequenceScore(query, text, 0);
+        return inPath === null ? null : inPath - text.length * 0.01;
+    }
+
+    static subsequenceScore(query, text, from) {
+        let score = 0;
+        let run = 0;
+        for (const char of query) {
+            const index = text.indexOf(char, from);
+            if (index === -1) return null;
+            run = index === from && score > 0 ? run + 1 : 1;
+            score += run * 2;
+            if (index === 0 || '/_-. '.includes(text[index - 1])) score += 3;
+            from = index + 1;
+        }
+        return score;
+    }
+
+    /**
+     * Recently picked paths, most recent first.
+     */
+    getRecent() {
+        return this.recent;
+    }
+
+    addRecent(path) {
+        if (!path) return;
+        this.recent = [path, ...this.recent.filter(p => AssetCatalog.normalizePath(p) !== AssetCatalog.normalizePath(path))]
+            .slice(0, AssetCatalog.MAX_RECENT);
+        try {
+            localStorage.setItem(AssetCatalog.RECENT_KEY, JSON.stringify(this.recent));
+        } catch (error) {
+            // Storage may be unavailable (e.g. file:// in some browsers); keep the list for this session
+        }
+    }
+
+    loadRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(AssetCatalog.RECENT_KEY) || '[]');
+            return Array.isArray(recent) ? recent.filter(path => typeof path === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+// Shared by every asset widget
+const assetCatalog = new AssetCatalog();
+export default assetCatalog;
@@ -0,0 +1,345 @@
+// Batch Export (Tools > Batch Export...)
+// Exports several loaded libraries in one go and delivers them as a single
+// .zip download, together with a report of export warnings and failed validation.
+
+import { ZipArchive } from './zipArchive.js';
+
+export class BatchExporter {
+
+    static DEFAULT_PATTERN = '{library}.xml';
+    static REPORT_FILENAME = 'export_report.txt';
+
+    constructor() {
+        this.app = null;
+        this.modal = null;
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    /**
+     * Validates one library against its profile's parameter definitions.
+     * @param {Object} library - A library from the LibraryManager.
+     * @returns {{effects: Array<Object>, effectCount: number, errors: Array<string>, warnings: Array<string>}}
+     */
+    analyzeLibrary(library) {
+        return this.app.definitionProfiles.use(library.profile, () => this.validateLibrary(library));
+    }
+
+    validateLibrary(library) {
+        const exporter = this.app.exporter;
+        const effects = this.app.gatherEffectData(library);
+        const problems = exporter.validateEffects(effects);
+        const describe = problem => `${problem.effectName}: ${problem.message}`;
+
+        return {
+            effects,
+            effectCount: exporter.flattenEffects(effects).length,
+            errors: problems.filter(p => p.severity === 'error').map(describe),
+            warnings: problems.filter(p => p.severity !== 'error').map(describe)
+        };
+    }
+
+    /**
+     * Resolves a filename pattern for a library.
+     * Supported tokens: {library}, {index} (1-based) and {date} (YYYY-MM-DD).
+     * "/" in the pattern makes folders in the zip; "." and ".." segments are
+     * dropped so no entry can point outside it.
+     */
+    resolveFilename(pattern, library, index) {
+        const filename = (pattern.trim() || BatchExporter.DEFAULT_PATTERN)
+            .replace(/\{library\}/g, () => this.app.getExportName(library).replace(/\//g, '_'))
+            .replace(/\{index\}/g, String(index + 1))
+            .replace(/\{date\}/g, new Date().toISOString().slice(0, 10))
+            .replace(/[\\:*?"<>|]/g, '_')
+            .split('/')
+            .filter(segment => segment && segment !== '.' && segment !== '..')
+            .join('/') || `library_${index + 1}`;
+        return filename.toLowerCase().endsWith('.xml') ? filename : filename + '.xml';
+    }
+
+    formatStatus(analysis) {
+        if (analysis.effectCount === 0) {
+            return { className: 'empty', text: '— No effects' };
+        }
+        if (analysis.errors.length > 0) {
+            return { className: 'error', text: `❌ ${analysis.errors.length} validation error(s)` };
+        }
+        if (analysis.warnings.length > 0) {
+            return { className: 'warning', text: `⚠️ ${analysis.warnings.length} warning(s)` };
+        }
+        return { className: 'good', text: `✅ ${analysis.effectCount} effect(s)` };
+    }
+
+    open() {
+        const libraries = this.app.libraryManager.libraries;
+        if (libraries.length === 0) {
+            this.app.showNotification('Batch Export', 'No libraries loaded', 'error');
+            return;
+        }
+
+        this.close();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 800px;">
+                <div class="modal-header">
+                    <h3>📦 Batch Export</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="batch-export-hint">
+                        Filename tokens: <code>{library}</code>, <code>{index}</code>, <code>{date}</code>
+                    </div>
+                    <table class="batch-export-table">
+                        <thead>
+                            <tr>
+                                <th><input type="checkbox" class="batch-select-all" checked></th>
+                                <th>Library</th>
+                                <th>Output Filename</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <label class="batch-export-override">
+                        <input type="checkbox" class="batch-override">
+                        Export libraries with validation errors
+                    </label>
+                    <div class="batch-export-footer">
+                        <label>Archive:</label>
+                        <input type="text" class="batch-archive-name">
+                        <button class="checkpoint-action-btn" id="batch-cancel">Cancel</button>
+                        <button class="checkpoint-action-btn primary" id="batch-confirm">Export Selected</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const tbody = modal.querySelector('tbody');
+        const rows = libraries.map((library, index) => {
+            const analysis = this.analyzeLibrary(library);
+            const status = this.formatStatus(analysis);
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="checkbox" class="batch-select"></td>
+                <td class="batch-library-name"></td>
+                <td>
+                    <input type="text" class="batch-pattern">
+                    <div class="batch-filename-preview"></div>
+                </td>
+                <td class="batch-status ${status.className}"></td>
+            `;
+
+            const checkbox = row.querySelector('.batch-select');
+            const patternInput = row.querySelector('.batch-pattern');
+            const preview = row.querySelector('.batch-filename-preview');
+
+            row.querySelector('.batch-library-name').textContent = library.name;
+            row.querySelector('.batch-status').textContent = status.text;
+            row.querySelector('.batch-status').title = [...analysis.errors, ...analysis.warnings].join('\n');
+
+            // Libraries with errors are only exported when the override is ticked
+            checkbox.checked = analysis.effectCount > 0 && analysis.errors.length === 0;
+            checkbox.disabled = analysis.effectCount === 0;
+            patternInput.value = BatchExporter.DEFAULT_PATTERN;
+
+            const updatePreview = () => {
+                preview.textContent = '→ ' + this.resolveFilename(patternInput.value, library, index);
+            };
+            patternInput.addEventListener('input', updatePreview);
+            updatePreview();
+
+            tbody.appendChild(row);
+            return { library, index, analysis, checkbox, patternInput };
+        });
+
+        const archiveInput = modal.querySelector('.batch-archive-name');
+        archiveInput.value = `VFX_Batch_Export_${new Date().toISOString().slice(0, 10)}.zip`;
+
+        modal.querySelector('.batch-select-all').addEventListener('change', (e) => {
+            rows.forEach(row => {
+                if (!row.checkbox.disabled) row.checkbox.checked = e.target.checked;
+            });
+        });
+
+        modal.querySelector('.modal-close')?.addEventListener('click', () => this.close());
+        modal.querySelector('#batch-cancel')?.addEventListener('click', () => this.close());
+        modal.querySelector('#batch-confirm')?.addEventListener('click', () => {
+            const selected = rows.filter(row => row.checkbox.checked);
+            if (selected.length === 0) {
+                this.app.showNotification('Batch Export', 'Select at least one library', 'warning');
+                return;
+            }
+            const withErrors = selected.filter(row => row.analysis.errors.length > 0);
+            if (withErrors.length > 0 && !modal.querySelector('.batch-override').checked) {
+                this.app.showNotification('Batch Export', `${withErrors.length} selected librar${withErrors.length !== 1 ? 'ies have' : 'y has'} validation errors. Tick the override to export anyway.`, 'error');
+                return;
+            }
+            let archiveName = archiveInput.value.trim() || 'VFX_Batch_Export.zip';
+            if (!archiveName.toLowerCase().endsWith('.zip')) archiveName += '.zip';
+
+            this.run(selected, archiveName);
+            this.close();
+        });
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+    }
+
+    close() {
+        if (!this.modal) return;
+        const modal = this.modal;
+        this.modal = null;
+        modal.classList.remove('active');
+        setTimeout(() => modal.remove(), 300);
+    }
+
+    /**
+     * Exports the selected libraries into one archive and downloads it.
+     * @param {Array<{library: Object, index: number, patternInput: HTMLInputElement}>} selected
+     * @param {string} archiveName
+     */
+    run(selected, archiveName) {
+        console.log(`📦 Batch exporting ${selected.length} librar${selected.length !== 1 ? 'ies' : 'y'}...`);
+        const exporter = this.app.exporter;
+        const zip = new ZipArchive();
+        const results = [];
+
+        selected.forEach(({ library, index, patternInput }) => {
+            const filename = this.uniqueFilename(zip, this.resolveFilename(patternInput.value, library, index));
+
+            // Re-run against the current data in case it changed while the dialog was open
+            const analysis = this.app.definitionProfiles.use(library.profile, () => {
+                const result = this.validateLibrary(library);
+                zip.addFile(filename, exporter.exportLibrary({ name: this.app.getExportName(library) }, result.effects));
+                return result;
+            });
+
+            if (analysis.errors.length > 0) {
+                console.error('❌ Validation errors for', library.name, ':', analysis.errors);
+            }
+            results.push({ library, filename, ...analysis, warnings: [...analysis.warnings, ...exporter.warnings] });
+        });
+
+        zip.addFile(BatchExporter.REPORT_FILENAME, this.buildReport(results));
+        this.app.downloadFile(zip.toUint8Array(), archiveName, 'application/zip');
+
+        const problemCount = results.reduce((sum, r) => sum + r.errors.length + r.warnings.length, 0);
+        console.log('✅ Batch export complete:', archiveName);
+        if (problemCount > 0) {
+            this.app.showNotification('Batch Export', `Exported ${results.length} librar${results.length !== 1 ? 'ies' : 'y'} to ${archiveName} with ${problemCount} problem(s). See ${BatchExporter.REPORT_FILENAME}.`, 'warning');
+        } else {
+            this.app.showNotification('Batch Export', `Exported ${results.length} librar${results.length !== 1 ? 'ies' : 'y'} to ${archiveName}`, 'success');
+        }
+        return results;
+    }
+
+    uniqueFilename(zip, filename) {
+        let candidate = filename;
+        let counter = 2;
+        while (zip.hasFile(candidate) || candidate === BatchExporter.REPORT_FILENAME) {
+            candidate = filename.replace(/(\.xml)?$/i, `_${counter++}$1`);
+        }
+        return candidate;
+    }
+
+    buildReport(results) {
+        let report = 'VFX Editor Batch Export Report\n';
+        report += `Generated: ${new Date().toISOString()}\n`;
+        report += `Libraries: ${results.length}\n`;
+        report += '='.repeat(50) + '\n\n';
+
+        results.forEach(result => {
+            const state = result.errors.length > 0 ? 'FAILED VALIDATION'
+                : result.warnings.length > 0 ? 'WARNINGS' : 'OK';
+            report += `[${state}] ${result.library.name} -> ${result.filename}\n`;
+            report += `  Effects: ${result.effectCount}\n`;
+            result.errors.forEach(error => {
+                report += `  ERROR: ${error}\n`;
+            });
+            result.warnings.forEach(warning => {
+                report += `  WARNING: ${warning}\n`;
+            });
+            report += '\n';
+        });
+
+        return report;
+    }
+}
+
+// Add batch export dialog styles
+const style = document.createElement('style');
+style.textContent = `
+    .batch-export-hint {
+        font-size: 12px;
+        color: var(--text-secondary);
+        margin-bottom: 12px;
+    }
+    .batch-export-hint code {
+        color: var(--accent-secondary);
+    }
+    .batch-export-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+    }
+    .batch-export-table th {
+        text-align: left;
+        color: var(--text-secondary);
+        font-weight: 500;
+        padding: 6px 8px;
+        border-bottom: 1px solid var(--border-color);
+    }
+    .batch-export-table td {
+        padding: 8px;
+        border-bottom: 1px solid var(--border-color);
+        vertical-align: top;
+        color: var(--text-primary);
+    }
+    .batch-export-table input[type="text"],
+    .batch-export-footer input[type="text"] {
+        width: 100%;
+        padding: 6px 8px;
+        background: var(--bg-tertiary);
+        border: 1px solid var(--border-color);
+        border-radius: 4px;
+        color: var(--text-primary);
+        font-size: 12px;
+    }
+    .batch-filename-preview {
+        margin-top: 4px;
+        font-size: 11px;
+        color: var(--text-muted);
+        font-family: monospace;
+    }
+    .batch-status.good { color: var(--status-good); }
+    .batch-status.warning { color: var(--status-warning); }
+    .batch-status.error { color: var(--status-error); }
+    .batch-status.empty { color: var(--text-muted); }
+    .batch-export-override {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-top: 12px;
+        font-size: 12px;
+        color: var(--text-secondary);
+    }
+    .batch-export-footer {
+        margin-top: 16px;
+        display: flex;
+        gap: 8px;
+        align-items: center;
+    }
+    .batch-export-footer label {
+        font-size: 12px;
+        color: var(--text-secondary);
+    }
+    .batch-export-footer input[type="text"] {
+        flex: 1;
+    }
+`;
+document.head.appendChild(style);
@@ -1,4 +1,7 @@
 // Checkpoint System - A/B Testing and State Management
+
+import { WidgetFactory } from './WidgetFactory.js';
+
 export class CheckpointManager {
     constructor() {
         // Initialize with only slots 1 and 2
@@ -143,6 +146,7 @@ export class CheckpointManager {
         };
 
         this.updateUI();
+        this.dispatchCheckpointsChange();
         this.showMessage(`Checkpoint ${slot} created!`, 'success');
         
         console.log('Checkpoint created:', slot, this.checkpoints[slot]);
@@ -185,9 +189,52 @@ export class CheckpointManager {
         }
         
         this.updateUI();
+        this.dispatchCheckpointsChange();
         this.showMessage(`Checkpoint ${slot} deleted`, 'info');
     }
 
+    dispatchCheckpointsChange() {
+        document.dispatchEvent(new CustomEvent('checkpointsChanged', {
+            detail: { checkpoints: this.checkpoints }
+        }));
+    }
+
+    /**
+     * Returns the checkpoint slots in a JSON-friendly form for saving with a project.
+     */
+    exportCheckpoints() {
+        return JSON.parse(JSON.stringify(this.checkpoints));
+    }
+
+    /**
+     * Replaces all checkpoint slots with ones loaded from a project.
+     * @param {Object} checkpoints - Slot number -> checkpoint (or null).
+     */
+    importCheckpoints(checkpoints) {
+        // Remove quick buttons for slots beyond the default two
+        document.querySelectorAll('.checkpoint-quick-btn').forEach(btn => {
+            if (parseInt(btn.dataset.checkpoint) > 2) btn.remove();
+        });
+
+        this.checkpoints = { '1': null, '2': null };
+        Object.entries(checkpoints || {}).forEach(([slot, checkpoint]) => {
+            if (checkpoint) {
+                checkpoint.timestamp = new Date(checkpoint.timestamp);
+            }
+            this.checkpoints[slot] = checkpoint;
+            if (parseInt(slot) > 2 && parseInt(slot) <= 4) {
+                this.addQuickButton(slot);
+            }
+        });
+
+        this.currentCheckpoint = null;
+        const statusEl = document.getElementById('current-checkpoint');
+        if (statusEl) {
+            statusEl.textContent = 'None';
+        }
+        this.updateUI();
+    }
+
     captureState() {
         // Capture all parameter values from the parameter manager
         const state = {
@@ -196,69 +243,16 @@ export class CheckpointManager {
             timestamp: Date.now()
         };
 
-        // Capture ALL parameter rows
+        // Capture ALL parameter rows, through the widget that shows each value
         document.querySelectorAll('.parameter-row').forEach(paramRow => {
-            const paramName = paramRow.querySelector('.parameter-label')?.textContent;
-            if (!paramName) return;
-
-            // Slider values
-            const sliderValue = paramRow.querySelector('.slider-value');
-            if (sliderValue) {
-                const sliderInput = paramRow.querySelector('.slider-input');
-                state.parameters[paramName] = {
-                    type: 'slider',
-                    value: parseFloat(sliderValue.value) || 0,
-                    min: parseFloat(sliderInput?.dataset.min) || 0,
-                    max: parseFloat(sliderInput?.dataset.max) || 100
-                };
-                return;
-            }
-
-            // Vector values
-            const vectorInputs = paramRow.querySelectorAll('.vector-input');
-            if (vectorInputs.length > 0) {
-                const vectorLabels = paramRow.querySelectorAll('.vector-label');
-                const vectorValue = {};
-                vectorInputs.forEach((input, i) => {
-                    const label = vectorLabels[i]?.textContent || `comp${i}`;
-                    vectorValue[label] = parseFloat(input.value) || 0;
-                });
-                state.parameters[paramName] = {
-                    type: 'vector',
-                    value: vectorValue
-                };
-                return;
-            }
-
-            // Color values
-            const colorValue = paramRow.querySelector('.color-value');
-            if (colorValue) {
-                state.parameters[paramName] = {
-                    type: 'color',
-                    value: colorValue.value
-                };
-                return;
-            }
-
-            // Dropdown values
-            const dropdownBtn = paramRow.querySelector('.dropdown-btn');
-            if (dropdownBtn) {
-                state.parameters[paramName] = {
-                    type: 'dropdown',
-                    value: dropdownBtn.textContent.trim()
-                };
-                return;
-            }
-
-            // Checkbox states
-            const checkbox = paramRow.querySelector('.checkbox');
-            if (checkbox) {
-                state.parameters[paramName] = {
-                    type: 'checkbox',
-                    value: checkbox.classList.contains('checked')
-                };
-                return;
-            }
+            const paramName = paramRow.dataset.paramName;
+            const widget = paramRow.querySelector('[data-widget]');
+            if (!paramName || !widget) return;
+
+            state.parameters[paramName] = {
+                widget: widget.dataset.widget,
+                value: WidgetFactory.serialize(widget)
+            };
         });
 
         console.log('Captured state:', state);
@@ -272,81 +266,29 @@ export class CheckpointManager {
 
         // Apply parameter values
         Object.entries(state.parameters).forEach(([paramName, paramData]) => {
-            // Find parameter row
+            // Older checkpoints are keyed by the row's label
             const paramRows = Array.from(document.querySelectorAll('.parameter-row'));
-            const paramRow = paramRows.find(row => {
-                const label = row.querySelector('.parameter-label')?.textContent;
-                return label === paramName;
-            });
+            const paramRow = paramRows.find(row => row.dataset.paramName === paramName) ||
+                paramRows.find(row => row.querySelector('.parameter-label')?.textContent === paramName);
+            const widget = paramRow?.querySelector('[data-widget]');
 
-            if (!paramRow) {
+            if (!widget) {
                 console.log('Parameter row not found for:', paramName);
                 return;
             }
 
-            // Handle different parameter types based on stored type
-            const type = paramData.type || 'unknown';
-            
-            if (type === 'slider') {
-                const sliderValue = paramRow.querySelector('.slider-value');
-                const sliderTrack = paramRow.querySelector('.slider-track');
-                const sliderInput = paramRow.querySelector('.slider-input');
-                
-                if (sliderValue && sliderInput) {
-                    const value = paramData.value;
-                    const min = paramData.min || parseFloat(sliderInput.dataset.min) || 0;
-                    const max = paramData.max || parseFloat(sliderInput.dataset.max) || 100;
-                    
-                    sliderValue.value = value;
-                    
-                    // Calculate correct percentage using actual range
-                    const percentage = ((value - min) / (max - min)) * 100;
-                    
-                    if (sliderTrack) {
-                        sliderTrack.style.width = `${Math.max(0, Math.min(100, percentage))}%`;
-                    }
-                    
-                    console.log(`Restored slider "${paramName}": ${value} (${min}-${max}, ${percentage}%)`);
-                }
-            } else if (type === 'vector') {
-                const vectorInputs = paramRow.querySelectorAll('.vector-input');
-                const vectorLabels = paramRow.querySelectorAll('.vector-label');
-                
-                vectorInputs.forEach((input, i) => {
-                    const label = vectorLabels[i]?.textContent;
-                    if (label && paramData.value[label] !== undefined) {
-                        input.value = paramData.value[label];
-                        console.log(`Restored vector "${paramName}.${label}": ${paramData.value[label]}`);
-                    }
-                });
-            } else if (type === 'color') {
-                const colorValue = paramRow.querySelector('.color-value');
-                const colorSwatch = paramRow.querySelector('.color-swatch');
-                const colorPicker = paramRow.querySelector('.color-picker');
-                
-                if (paramData.value) {
-                    if (colorValue) colorValue.value = paramData.value;
-                    if (colorSwatch) colorSwatch.style.background = paramData.value;
-                    if (colorPicker) colorPicker.value = paramData.value;
-                    console.log(`Restored color "${paramName}": ${paramData.value}`);
-                }
-            } else if (type === 'dropdown') {
-                const dropdownBtn = paramRow.querySelector('.dropdown-btn span');
-                if (dropdownBtn && paramData.value) {
-                    dropdownBtn.textContent = paramData.value;
-                    console.log(`Restored dropdown "${paramName}": ${paramData.value}`);
-                }
-            } else if (type === 'checkbox') {
-                const checkbox = paramRow.querySelector('.checkbox');
-                if (checkbox) {
-                    if (paramData.value) {
-                        checkbox.classList.add('checked');
-                    } else {
-                        checkbox.classList.remove('checked');
-                    }
-                    console.log(`Restored checkbox "${paramName}": ${paramData.value}`);
-                }
+            // Older checkpoints store `type` and vectors as {X, Y, Z}
+            const widgetName = paramData.widget || paramData.type;
+            if (widgetName !== widget.dataset.widget) {
+                console.log(`Skipped "${paramName}": saved from a ${widgetName} widget, now a ${widget.dataset.widget}`);
+                return;
             }
+            const value = widgetName === 'vector' && !Array.isArray(paramData.value)
+                ? Object.values(paramData.value || {})
+                : paramData.value;
+
+            WidgetFactory.setValue(widget, value);
+            console.log(`Restored ${widgetName} "${paramName}":`, value);
         });
 
         // Trigger parameter update event
@@ -1,51 +1,59 @@
 // CryEngine Particle Effect Exporter - Correct Format
 // Exports to actual CryEngine particle library XML format
 // ***** UPDATED to export ALL non-default parameters and expressions *****
-// ***** UPDATED with async init to load XML definitions *****
 // ***** UPDATED with exportAllParameters toggle *****
 
 import { CryEngineParameterParser } from './cryEngineParameterParser.js';
+import { DefinitionProfiles } from './definitionProfiles.js';
+import { ExportValidator } from './exportValidator.js';
+import { generateGUID } from './guid.js';
+import { ValueCodec } from './valueCodec.js';
+import { ParamInheritance } from './paramInheritance.js';
+import { CURVE_PARAMS, GRADIENT_PARAMS, INTERPOLATION_CODES } from './overLifeCurves.js';
 
 export class CryEngineExporter {
-    constructor() {
-        this.sandboxVersion = '1.0.151.20733';
-        this.particleVersion = '53';
-        
+
+    /**
+     * @param {CryEngineParameterParser} [parser] - Parameter definitions, shared
+     *   with the rest of the editor. The library header versions come from its profile.
+     */
+    constructor(parser = new CryEngineParameterParser()) {
         // ***** SET THIS TO TRUE TO WRITE ALL PARAMETERS *****
         // This is the toggle you asked about.
         // Set to true: Writes all parameters from the XML definition.
         // Set to false: Writes only parameters that are not at their default value.
         this.exportAllParameters = false; 
         // ******************************************************
+
+        // Platform the library is exported for (e.g. "PC"); null exports
+        // parameters for every platform. See the platforms attribute in parameters.xml.
+        this.targetPlatform = null;
+        
+        this.parser = parser;
+        this.validator = new ExportValidator(this.parser);
         
-        // Initialize the parser, but DO NOT load definitions here
-        this.parser = new CryEngineParameterParser();
+        // Problems found during the last exportLibrary() call
+        this.warnings = [];
         console.log('CryEngineExporter created.');
     }
 
     /**
-     * Asynchronously loads the parameter definitions from the XML file.
-     * This MUST be called before any export operations.
+     * The definition profile being exported for (see DefinitionProfiles).
      */
-    async init() {
-        // Load definitions from the same XML file as the parameter manager
-        await this.parser.loadDefinitions('parameters.xml');
-        console.log('CryEngineExporter initialized with full parameter parser definitions.');
+    getProfile() {
+        return this.parser.profile || DefinitionProfiles.FALLBACK;
     }
-    
-    // Generate a GUID for particle effects
+
+    // Generate a GUID for particle effects that were never assigned one
     generateGUID() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
-            const v = c === 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
+        return generateGUID();
     }
     
     // Export particle effect library to CryEngine format
     exportLibrary(libraryData, effectsData) {
+        this.warnings = [];
         console.log('📦 Exporting CryEngine particle library:', libraryData.name);
-        console.log('  Effects to export:', effectsData.length);
+        console.log('  Effects to export:', this.flattenEffects(effectsData).length);
         
         const cryXML = this.generateCryEngineXML(libraryData, effectsData);
         
@@ -55,9 +63,10 @@ export class CryEngineExporter {
     
     generateCryEngineXML(libraryData, effectsData) {
         let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-        xml += '<ParticleLibrary Name="' + this.escapeXML(libraryData.name) + '" SandboxVersion="' + this.sandboxVersion + '" ParticleVersion="' + this.particleVersion + '">\n';
+        const { sandboxVersion, particleVersion } = this.getProfile();
+        xml += '<ParticleLibrary Name="' + this.escapeXML(libraryData.name) + '" SandboxVersion="' + this.escapeXML(sandboxVersion) + '" ParticleVersion="' + this.escapeXML(particleVersion) + '">\n';
         
-        // Process each effect
+        // Process each top-level effect; children are written nested inside their parent
         effectsData.forEach((effect, index) => {
             console.log(`  Exporting effect ${index + 1}/${effectsData.length}: ${effect.name || 'Unnamed'}`);
             xml += this.generateParticleXML(effect);
@@ -68,16 +77,123 @@ export class CryEngineExporter {
         return xml;
     }
     
-    generateParticleXML(effect) {
-        const guid = this.generateGUID();
+    /**
+     * Builds export data from a library tree.
+     * Top-level effects carry their folder path as a dotted name prefix
+     * (e.g. "Main Thrusters.Thruster_Main"); child effects keep their short
+     * name and are nested under `children`.
+     * @param {Array<Object>} items - Library items (folders and effects).
+     * @param {string} [pathPrefix] - Dotted folder path of `items`.
+     * @param {ParamInheritance} [inheritance] - Inheritance resolver for the whole library.
+     * @returns {Array<Object>} The top-level effects.
+     */
+    collectLibraryEffects(items, pathPrefix = '', inheritance = new ParamInheritance(items)) {
+        const effects = [];
+        items.forEach(item => {
+            if (item.type === 'effect') {
+                effects.push(this.buildEffectData(item, pathPrefix + item.name, inheritance));
+            } else if (item.type === 'folder' && item.items) {
+                // Sibling folders become name-path prefixes
+                effects.push(...this.collectLibraryEffects(item.items, pathPrefix + item.name + '.', inheritance));
+            }
+        });
+        return effects;
+    }
+
+    /**
+     * Builds the export data for an effect and, recursively, its child effects.
+     * @param {object} item - The effect item from the library tree.
+     * @param {string} name - The name to export under.
+     * @param {ParamInheritance} [inheritance] - Resolves inherited values; without
+     *   one, only the item's own hierarchy is known.
+     */
+    buildEffectData(item, name, inheritance = new ParamInheritance([item])) {
+        const template = inheritance.getMode(item) === 'Template' ? inheritance.getSource(item) : null;
+        return {
+            name: name,
+            source: item, // The library item, so validation problems can point back to it
+            guid: item.guid, // Stable GUID assigned by the LibraryManager
+            params: item.params || {},
+            variations: item.variations || {}, // ± random ranges, keyed like params
+            inheritance: inheritance.getMode(item),
+            particleSystem: this.parser.getRenderMode(item),
+            templateName: template ? inheritance.getPath(template) : null,
+            inheritedParams: inheritance.getInheritedParams(item), // Values the engine inherits
+            expressions: item.expressions || {},
+            curves: item.curves || {},
+            timeline: item.timeline || { start: 0, duration: 5.0 },
+            children: (item.items || [])
+                .filter(child => child.type === 'effect')
+                .map(child => this.buildEffectData(child, child.name, inheritance)),
+            isVisible: item.isVisible !== false,
+            isLocked: item.isLocked || false
+        };
+    }
+
+    /**
+     * The library name as written to the ParticleLibrary Name attribute and
+     * file name, e.g. "Ships/Thrusters.vfxlib" -> "Ships_Thrusters".
+     * @param {Object|null} library
+     */
+    getLibraryExportName(library) {
+        const libraryName = library?.name || 'Exported_Effects';
+        return libraryName.replace(/\.vfxlib$/, '').replace(/[\/]/g, '_').replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+
+    /**
+     * Writes a <Particles> node, with child effects nested in a <Childs> block.
+     * @param {Object} effect - The effect data (with optional `children`).
+     * @param {number} depth - Nesting depth, used for indentation.
+     */
+    generateParticleXML(effect, depth = 1) {
+        // Reuse the effect's stored GUID so engine references survive re-export
+        let guid = effect.guid;
+        if (!guid) {
+            guid = this.generateGUID();
+            this.warn(`Effect "${effect.name}" has no GUID. Generated ${guid}.`);
+        }
         const name = effect.name || effect.effectName || 'Unnamed_Effect';
+        const indent = ' '.repeat(depth);
+        const children = effect.children || [];
         
-        let xml = ' <Particles Name="' + this.escapeXML(name) + '" GUID="' + guid + '">\n';
-        xml += '  <Params' + this.generateParamsAttributes(effect) + '/>\n';
-        xml += ' </Particles>\n';
+        let xml = indent + '<Particles Name="' + this.escapeXML(name) + '" GUID="' + this.escapeXML(guid) + '">\n';
+        xml += indent + ' <Params' + this.generateParamsAttributes(effect) + '/>\n';
+        
+        if (children.length > 0) {
+            xml += indent + ' <Childs>\n';
+            children.forEach(child => {
+                xml += this.generateParticleXML(child, depth + 2);
+            });
+            xml += indent + ' </Childs>\n';
+        }
+        
+        xml += indent + '</Particles>\n';
         
         return xml;
     }
+
+    /**
+     * Records an export problem so callers can report it after exportLibrary().
+     */
+    warn(message) {
+        console.warn(`Export warning: ${message}`);
+        this.warnings.push(message);
+    }
+
+    /**
+     * Flattens an effect hierarchy into a depth-first list (parents before children).
+     * @param {Array<Object>} effectsData - Top-level effects with nested `children`.
+     * @returns {Array<Object>} Every effect in the hierarchy.
+     */
+    flattenEffects(effectsData) {
+        const effects = [];
+        const visit = (effect) => {
+            effects.push(effect);
+            (effect.children || []).forEach(visit);
+        };
+        effectsData.forEach(visit);
+        return effects;
+    }
     
     /**
      * Generates all non-default parameter attributes and all expression attributes.
@@ -86,12 +202,21 @@ export class CryEngineExporter {
         const params = effect.params || {};
         const expressions = effect.expressions || {};
         
+        const inheritedParams = effect.inheritedParams || {};
+        const effectiveParams = { ...inheritedParams, ...params };
+        
         let attrs = '';
         
-        // --- Default Inheritance and System ---
-        attrs += ' Inheritance="System"';
-        // TODO: This should be dynamic based on the parameter definition
-        attrs += ' ParticleSystem="RParticleGPU"'; 
+        // --- Inheritance and System ---
+        const inheritance = effect.inheritance || ParamInheritance.DEFAULT_MODE;
+        attrs += ` Inheritance="${inheritance}"`;
+        if (inheritance === 'Template' && effect.templateName) {
+            attrs += ` Template="${this.escapeXML(effect.templateName)}"`;
+        }
+        const renderMode = this.parser.getRenderMode(effect);
+        attrs += ` ParticleSystem="${CryEngineParameterParser.PARTICLE_SYSTEMS[renderMode]}"`;
+
+        const expressionParams = this.getExpressionParams(expressions);
         
         // --- Export All Non-Default Values ---
         for (const [paramName, currentValue] of Object.entries(params)) {
@@ -104,105 +229,127 @@ export class CryEngineExporter {
                      // We found it by label, but we need to use its *internal name*
                      // This block is unlikely to be hit now, but good for safety.
                 } else {
+                    // Not added to this.warnings; the ExportValidator reports unknown params
                     console.warn(`Export warning: Parameter "${paramName}" not found in XML definitions. Skipping.`);
                     continue;
                 }
             }
 
             // Get the *actual* parameter name from the definition (e.g., "fParticleLifeTime")
+            // Old names (aliases) are always written under the current name
             const actualParamName = definition.name;
-            let defaultValue = definition.default;
+            if (actualParamName !== paramName && params[actualParamName] !== undefined) continue;
+
+            // An expression replaces the stored value (written below)
+            if (expressionParams.has(actualParamName)) continue;
 
-            // Convert default value from string to the correct type for comparison
-            switch (definition.type) {
-                case 'float':
-                case 'int':
-                    defaultValue = parseFloat(defaultValue);
-                    break;
-                case 'bool':
-                    defaultValue = (defaultValue === 'true');
-                    break;
-                case 'vec3':
-                    defaultValue = defaultValue.split(',').map(Number);
-                    break;
+            // Not available for the effect's particle system or the target platform.
+            // Not added to this.warnings; the ExportValidator reports these
+            if (!this.parser.isParameterSupported(actualParamName, renderMode, this.targetPlatform)) {
+                console.warn(`Export warning: ${effect.name}: "${actualParamName}" is ${this.parser.describeUnsupported(actualParamName, renderMode, this.targetPlatform)}. Skipping.`);
+                continue;
             }
 
-            // Compare current value to default value
-            // We use JSON.stringify for a decent deep-ish comparison
-            const isDefault = JSON.stringify(currentValue) === JSON.stringify(defaultValue);
-            
-            if (!isDefault || this.exportAllParameters)
+            // Hidden or disabled by a visibleIf / enabledIf condition
+            if (!this.parser.isParameterActive(actualParamName, effectiveParams)) continue;
+
+            // Malformed, e.g. a vector without three numbers. The ExportValidator reports these
+            if (!ValueCodec.isValid(definition.type, currentValue)) continue;
+
+            // Only overrides are written; the engine fills in inherited values
+            if (!ParamInheritance.isDefaultValue(definition, currentValue, inheritedParams) || this.exportAllParameters)
 			{
                 // Value is non-default OR exportAll is true, write it to XML
-                attrs += ` ${this.escapeXML(actualParamName)}="${this.formatValue(currentValue)}"`;
+                attrs += ` ${this.escapeXML(this.getAttributeName(definition))}="${this.formatValue(definition, currentValue)}"`;
+            }
+        }
+        
+        // --- Export Random Variation ---
+        attrs += this.generateVariationAttributes(effect, renderMode, effectiveParams);
+
+        // --- Export Over-Life Curves ---
+        for (const [curveName, points] of Object.entries(effect.curves || {})) {
+            const paramName = CURVE_PARAMS[curveName];
+            if (!paramName) {
+                this.warn(`${effect.name}: Curve "${curveName}" has no matching parameter. Skipping.`);
+                continue;
             }
+            attrs += this.encodeCurveAttribute(paramName, points);
         }
         
         // --- Export All Expressions ---
         for (const [paramName, expression] of Object.entries(expressions)) {
              const definition = this.parser.getParameter(paramName);
              const actualParamName = definition ? definition.name : paramName; // Use definition name if possible
+             if (actualParamName !== paramName && expressions[actualParamName] !== undefined) continue;
+             if (definition && !this.parser.isParameterActive(actualParamName, effectiveParams)) continue;
+             if (definition && !this.parser.isParameterSupported(actualParamName, renderMode, this.targetPlatform)) continue;
             
             // Expressions are written as attributes
-            attrs += ` ${this.escapeXML(actualParamName)}="${this.escapeXML(expression)}"`;
+            attrs += ` ${this.escapeXML(actualParamName)}="${this.escapeXML(this.parser.renameReferences(expression))}"`;
         }
 
         return attrs;
     }
 
     /**
-     * Formats a JavaScript value into a string suitable for CryEngine XML.
-     * @param {*} value - The value to format.
+     * The parameters an effect drives with an expression, under their
+     * current names. Their stored values are not exported.
+     * @returns {Set<string>}
      */
-    formatValue(value) {
-        if (typeof value === 'string') {
-            // Handle color strings
-            if (value.startsWith('#')) {
-                return this.formatValue(this.hexToRgb(value));
-            }
-            return this.escapeXML(value);
-        }
-        if (typeof value === 'boolean') {
-            return value ? 'true' : 'false';
-        }
-        if (typeof value === 'number') {
-            // Format numbers with 3 decimal places if they are floats
-            return Number.isInteger(value) ? value.toString() : value.toFixed(3);
-        }
-        if (Array.isArray(value)) {
-            // Format vectors: [x, y, z] -> "x,y,z"
-            return value.map(v => (Number.isInteger(v) ? v : v.toFixed(3))).join(',');
-        }
-        if (typeof value === 'object' && value !== null) {
-            // Handle color objects: {r: 255, g: 100, b: 50} -> "1.000,0.392,0.196"
-            if (value.hasOwnProperty('r') && value.hasOwnProperty('g') && value.hasOwnProperty('b')) {
-                const r = (value.r / 255).toFixed(3);
-                const g = (value.g / 255).toFixed(3);
-                const b = (value.b / 255).toFixed(3);
-                return `${r},${g},${b}`;
-            }
+    getExpressionParams(expressions) {
+        return new Set(Object.keys(expressions).map(name => this.parser.getParameter(name)?.name ?? name));
+    }
+
+    /**
+     * Writes ParamName.Random="range" for every parameter with a random
+     * variation; vectors have one range per component ("x,y,z").
+     * Written even when the base value is the default.
+     */
+    generateVariationAttributes(effect, renderMode, effectiveParams) {
+        let attrs = '';
+        for (const [paramName, range] of Object.entries(effect.variations || {})) {
+            const definition = this.parser.getParameter(paramName);
+            // Unknown or non-numeric parameters are reported by the ExportValidator
+            if (!definition || !this.parser.hasVariation(definition.name, range)) continue;
+            if (definition.name !== paramName && effect.variations[definition.name] !== undefined) continue;
+            if (!this.parser.isParameterSupported(definition.name, renderMode, this.targetPlatform)) continue;
+            if (!this.parser.isParameterActive(definition.name, effectiveParams)) continue;
+            if (!ValueCodec.isValid(definition.type, range)) continue;
+
+            attrs += ` ${this.escapeXML(definition.name)}.Random="${this.formatValue(definition, range)}"`;
         }
-        
-        return this.escapeXML(String(value));
+        return attrs;
     }
 
-    hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        } : { r: 255, g: 255, b: 255 };
+    /**
+     * The XML attribute a parameter's value is written to: its name, or
+     * Param.OverLife for gradients (see GRADIENT_PARAMS).
+     */
+    getAttributeName(definition) {
+        const curveOf = GRADIENT_PARAMS[definition.name];
+        return definition.type === 'gradient' && curveOf ? `${curveOf}.OverLife` : definition.name;
     }
-    
+
+    /**
+     * Formats a parameter value for CryEngine XML, at full precision.
+     * @param {Object} definition - The parameter definition (its type selects the codec).
+     * @param {*} value - The value to format.
+     */
+    formatValue(definition, value) {
+        return this.escapeXML(ValueCodec.serialize(definition.type, value));
+    }
+
     encodeCurveAttribute(paramName, curvePoints) {
         if (!curvePoints || curvePoints.length === 0) return '';
         
-        // CryEngine curve format: ParamName.OverLife="(time1:value1,time2:value2,...)"
+        // CryEngine curve format: ParamName.OverLife="(time1:value1:flag1,time2:value2:flag2,...)"
+        // Keys are written at full precision; the flag is the interpolation into the next key.
         let attr = ' ' + paramName + '.OverLife="(';
         
         const keyframes = curvePoints.map(p => {
-            return p.x.toFixed(3) + ':' + p.y.toFixed(3);
+            const flag = INTERPOLATION_CODES[p.interpolation] || INTERPOLATION_CODES.linear;
+            return p.x + ':' + p.y + ':' + flag;
         });
         
         attr += keyframes.join(',');
@@ -240,66 +387,61 @@ export class CryEngineExporter {
         });
     }
     
-    // Validate effect data before export
+    /**
+     * Validates effect data against the parameter definitions before export.
+     * @param {Object} effect - A single effect (children are not included).
+     * @returns {Array<Object>} Problems with `severity` 'error' or 'warning'.
+     */
     validateEffect(effect) {
-        const errors = [];
-        
-        if (!effect.name && !effect.effectName) {
-            errors.push('Effect must have a name');
-        }
-        
-        if (effect.params) {
-            // Use the correct parameter name from XML
-            if (effect.params['fParticleLifeTime'] !== undefined && effect.params['fParticleLifeTime'] <= 0) {
-                errors.push('Lifetime must be greater than 0');
-            }
-            if (effect.params['fCount'] !== undefined && effect.params['fCount'] < 0) {
-                errors.push('Count cannot be negative');
-            }
-        }
-        
-        return errors;
+        this.validator.targetPlatform = this.targetPlatform;
+        return this.validator.validateEffect(effect);
+    }
+
+    /**
+     * Validates a whole effect hierarchy.
+     * @param {Array<Object>} effectsData - Top-level effects with nested `children`.
+     * @returns {Array<Object>} Problems for every effect.
+     */
+    validateEffects(effectsData) {
+        return this.flattenEffects(effectsData).flatMap(effect => this.validateEffect(effect));
     }
     
     // Generate preview of export
     generatePreview(effectsData) {
         let preview = '╔═══════════════════════════════════════════════════╗\n';
         preview += '║   CryEngine Particle Library Export Preview       ║\n';
-        preview += '╚═══════════════════════════════════════════════════╝\n\n';
+        preview += '╚═══════════════════════════════════════════════════╝\n';
+        const profile = this.getProfile();
+        preview += `Profile: ${profile.name} (SandboxVersion ${profile.sandboxVersion}, ParticleVersion ${profile.particleVersion})\n\n`;
         
-        effectsData.forEach((effect, index) => {
+        const allEffects = this.flattenEffects(effectsData);
+        allEffects.forEach((effect, index) => {
             const name = effect.name || effect.effectName || 'Unnamed';
-            preview += `📦 Particle ${index + 1}: ${name}\n`;
+            const parent = allEffects.find(e => (e.children || []).includes(effect));
+            preview += `📦 Particle ${index + 1}: ${name}${parent ? ` (child of ${parent.name})` : ''}\n`;
             preview += `${'─'.repeat(50)}\n`;
             
             const params = effect.params || {};
             const expressions = effect.expressions || {};
+            const inheritedParams = effect.inheritedParams || {};
+            const effectiveParams = { ...inheritedParams, ...params };
+            
+            const inheritance = effect.inheritance || ParamInheritance.DEFAULT_MODE;
+            const renderMode = this.parser.getRenderMode(effect);
+            preview += `  Inheritance: ${inheritance}${effect.templateName ? ` (${effect.templateName})` : ''}\n`;
+            preview += `  Particle System: ${renderMode}\n\n`;
             
             preview += `  --- Non-Default Parameters ---\n`;
             let nonDefaultCount = 0;
+            const expressionParams = this.getExpressionParams(expressions);
             for (const [paramName, currentValue] of Object.entries(params)) {
                  const definition = this.parser.getParameter(paramName);
-                 if (!definition) continue;
-                 
-                 let defaultValue = definition.default;
-                 // Convert default value from string to the correct type for comparison
-                 switch (definition.type) {
-                     case 'float':
-                     case 'int':
-                         defaultValue = parseFloat(defaultValue);
-                         break;
-                     case 'bool':
-                         defaultValue = (defaultValue === 'true');
-                         break;
-                     case 'vec3':
-                         defaultValue = defaultValue.split(',').map(Number);
-                         break;
-                 }
-                 
-                 const isDefault = JSON.stringify(currentValue) === JSON.stringify(defaultValue);
+                 if (!definition || !this.parser.isParameterActive(definition.name, effectiveParams)) continue;
+                 if (expressionParams.has(definition.name)) continue;
+                 if (!this.parser.isParameterSupported(definition.name, renderMode, this.targetPlatform)) continue;
                  
-                 if (!isDefault || this.exportAllParameters) {
-                     preview += `    • ${definition.label || paramName}: ${this.formatValue(currentValue)}\n`;
+                 if (!ParamInheritance.isDefaultValue(definition, currentValue, inheritedParams) || this.exportAllParameters) {
+                     preview += `    • ${definition.label || paramName}: ${ValueCodec.serialize(definition.type, currentValue)}\n`;
                      nonDefaultCount++;
                  }
             }
@@ -307,6 +449,30 @@ export class CryEngineExporter {
                 preview += `    (All parameters at default)\n`;
             }
 
+            const variations = Object.entries(effect.variations || {})
+                .filter(([paramName, range]) => this.parser.hasVariation(paramName, range));
+            if (variations.length > 0) {
+                preview += `\n  --- Random Variation ---\n`;
+                variations.forEach(([paramName, range]) => {
+                    const definition = this.parser.getParameter(paramName);
+                    preview += `    • ${definition.label || paramName}: ±${ValueCodec.serialize(definition.type, range)}\n`;
+                });
+            }
+
+            preview += `\n  --- Over-Life Curves ---\n`;
+            let curveCount = 0;
+            for (const [curveName, points] of Object.entries(effect.curves || {})) {
+                 const paramName = CURVE_PARAMS[curveName];
+                 if (!paramName || !points || points.length === 0) continue;
+                 const definition = this.parser.getParameter(paramName);
+                 const modes = [...new Set(points.map(p => p.interpolation || 'linear'))].join('/');
+                 preview += `    • ${definition ? definition.label : paramName}: ${points.length} keys (${modes})\n`;
+                 curveCount++;
+            }
+            if (curveCount === 0) {
+                preview += `    (No curves)\n`;
+            }
+
             preview += `\n  --- Expressions ---\n`;
             let expressionCount = 0;
             for (const [paramName, expression] of Object.entries(expressions)) {
@@ -322,7 +488,7 @@ export class CryEngineExporter {
             preview += '\n';
         });
         
-        preview += `\n✅ Ready to export ${effectsData.length} particle${effectsData.length !== 1 ? 's' : ''} to CryEngine format\n`;
+        preview += `\n✅ Ready to export ${allEffects.length} particle${allEffects.length !== 1 ? 's' : ''} to CryEngine format\n`;
         
         return preview;
     }
@@ -0,0 +1,349 @@
+// CryEngine Particle Effect Importer
+// Reads CryEngine particle library XML (the format written by CryEngineExporter)
+// back into the editor's library tree structure.
+
+import { CryEngineParameterParser } from './cryEngineParameterParser.js';
+import { generateGUID } from './guid.js';
+import { ValueCodec } from './valueCodec.js';
+import { ParamInheritance } from './paramInheritance.js';
+import { CURVE_PARAMS, GRADIENT_PARAMS, INTERPOLATION_CODES } from './overLifeCurves.js';
+
+export class CryEngineImporter {
+    /**
+     * @param {CryEngineParameterParser} [parser] - Parameter definitions, shared
+     *   with the rest of the editor.
+     */
+    constructor(parser = new CryEngineParameterParser()) {
+        // Attributes on <Params> that describe the effect rather than a parameter
+        this.reservedAttributes = new Set(['Inheritance', 'Template', 'ParticleSystem']);
+
+        this.parser = parser;
+        this.warnings = [];
+        console.log('CryEngineImporter created.');
+    }
+
+    /**
+     * Imports a CryEngine particle library.
+     * @param {string} xmlString - The raw library XML.
+     * @param {string} [fallbackName] - Library name to use if the XML has none (e.g. the file name).
+     * @returns {{library: Object, warnings: Array<string>, particleVersion: string|null}} The library
+     *   in LibraryManager format, and the ParticleVersion it was written with.
+     */
+    importLibrary(xmlString, fallbackName = 'Imported_Library') {
+        this.warnings = [];
+
+        const xmlDoc = new DOMParser().parseFromString(xmlString, 'application/xml');
+        const parseError = xmlDoc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error(`Invalid XML: ${parseError.textContent.trim()}`);
+        }
+
+        const root = xmlDoc.documentElement;
+        if (root.tagName !== 'ParticleLibrary') {
+            throw new Error(`Expected <ParticleLibrary> root element, found <${root.tagName}>`);
+        }
+
+        const library = {
+            name: root.getAttribute('Name') || fallbackName,
+            items: []
+        };
+        console.log('📥 Importing CryEngine particle library:', library.name);
+
+        this.childElements(root, 'Particles').forEach(particlesNode => {
+            const effect = this.parseParticles(particlesNode);
+            this.insertEffect(library.items, effect);
+        });
+        this.resolveTemplates(library.items);
+
+        console.log(`✅ CryEngine import complete - ${this.countEffects(library.items)} effect(s), ${this.warnings.length} warning(s)`);
+        return { library, warnings: this.warnings, particleVersion: root.getAttribute('ParticleVersion') };
+    }
+
+    /**
+     * Imports loose <Particles> XML, e.g. pasted from the clipboard. Accepts one
+     * or more <Particles> elements, or a whole <ParticleLibrary>.
+     * Pasted effects are new effects, so every effect gets a fresh GUID.
+     * @param {string} xmlString - The XML text.
+     * @returns {{effects: Array<Object>, warnings: Array<string>}} Effects whose
+     *   names may still carry a dotted folder path (see insertEffect).
+     */
+    importParticles(xmlString) {
+        this.warnings = [];
+
+        // Wrap the text so several sibling <Particles> parse as one document
+        const body = xmlString.trim().replace(/^<\?xml[^>]*\?>/, '');
+        const xmlDoc = new DOMParser().parseFromString(`<Clipboard>${body}</Clipboard>`, 'application/xml');
+        const parseError = xmlDoc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error(`Invalid XML: ${parseError.textContent.trim()}`);
+        }
+
+        let container = xmlDoc.documentElement;
+        const library = this.childElements(container, 'ParticleLibrary')[0];
+        if (library) {
+            container = library;
+        }
+
+        const particlesNodes = this.childElements(container, 'Particles');
+        if (particlesNodes.length === 0) {
+            throw new Error('No <Particles> elements found');
+        }
+
+        const effects = particlesNodes.map(node => this.parseParticles(node));
+        effects.forEach(effect => this.renewGUIDs(effect));
+        // Only templates that are pasted along can be linked
+        this.resolveTemplates(effects);
+
+        console.log(`✅ Parsed ${effects.length} pasted effect(s), ${this.warnings.length} warning(s)`);
+        return { effects, warnings: this.warnings };
+    }
+
+    renewGUIDs(effect) {
+        effect.guid = generateGUID();
+        effect.items.forEach(child => this.renewGUIDs(child));
+    }
+
+    /**
+     * Converts a <Particles> node (and its <Childs>) into an effect item.
+     */
+    parseParticles(particlesNode) {
+        const effect = {
+            name: particlesNode.getAttribute('Name') || 'Unnamed_Effect',
+            type: 'effect',
+            // Keep the library's GUID so re-exporting doesn't break engine references
+            guid: particlesNode.getAttribute('GUID') || generateGUID(),
+            params: {},
+            curves: {},
+            expressions: {},
+            variations: {},
+            timeline: { start: 0, duration: 5.0 },
+            items: []
+        };
+
+        const paramsNode = this.childElements(particlesNode, 'Params')[0];
+        if (paramsNode) {
+            this.parseInheritance(paramsNode, effect);
+            this.parseParticleSystem(paramsNode, effect);
+            this.parseParamsAttributes(paramsNode, effect);
+        }
+
+        // Child effects are nested under <Childs> with their own short names
+        const childsNode = this.childElements(particlesNode, 'Childs')[0];
+        if (childsNode) {
+            this.childElements(childsNode, 'Particles').forEach(childNode => {
+                effect.items.push(this.parseParticles(childNode));
+            });
+        }
+
+        return effect;
+    }
+
+    /**
+     * Reads the Inheritance mode. A Template is referenced by its full dotted
+     * name and linked by resolveTemplates once the whole tree is read.
+     */
+    parseInheritance(paramsNode, effect) {
+        const mode = paramsNode.getAttribute('Inheritance');
+        if (!mode || mode === ParamInheritance.DEFAULT_MODE) return;
+
+        if (!ParamInheritance.MODES.includes(mode)) {
+            this.warnings.push(`${effect.name}: Unknown Inheritance "${mode}". Using ${ParamInheritance.DEFAULT_MODE}.`);
+            return;
+        }
+        effect.inheritance = mode;
+        if (mode === 'Template') {
+            effect.templatePath = paramsNode.getAttribute('Template') || '';
+        }
+    }
+
+    /**
+     * Reads the ParticleSystem attribute (RParticleGPU / RParticleCPU) into effect.particleSystem.
+     */
+    parseParticleSystem(paramsNode, effect) {
+        const value = paramsNode.getAttribute('ParticleSystem');
+        if (!value) return;
+
+        const systems = CryEngineParameterParser.PARTICLE_SYSTEMS;
+        const mode = Object.keys(systems).find(key => systems[key] === value);
+        if (!mode) {
+            this.warnings.push(`${effect.name}: Unknown ParticleSystem "${value}". Using ${CryEngineParameterParser.DEFAULT_RENDER_MODE}.`);
+            return;
+        }
+        effect.particleSystem = mode;
+    }
+
+    /**
+     * Links Template inheritance to the template effects' GUIDs.
+     * @param {Array<Object>} items - The imported item tree.
+     */
+    resolveTemplates(items) {
+        const inheritance = new ParamInheritance(items);
+        inheritance.getEffects().forEach(effect => {
+            if (effect.templatePath === undefined) return;
+
+            const template = inheritance.findByPath(effect.templatePath);
+            if (template && template !== effect) {
+                effect.template = template.guid;
+            } else {
+                this.warnings.push(`${effect.name}: Template "${effect.templatePath}" not found. Using ${ParamInheritance.DEFAULT_MODE} inheritance.`);
+                delete effect.inheritance;
+            }
+            delete effect.templatePath;
+        });
+    }
+
+    /**
+     * Maps the attributes of a <Params> node back to typed params and expressions.
+     */
+    parseParamsAttributes(paramsNode, effect) {
+        Array.from(paramsNode.attributes).forEach(attr => {
+            if (this.reservedAttributes.has(attr.name)) return;
+
+            if (attr.name.endsWith('.OverLife')) {
+                this.parseCurveAttribute(attr, effect);
+                return;
+            }
+            if (attr.name.endsWith('.Random')) {
+                this.parseRandomAttribute(attr, effect);
+                return;
+            }
+
+            const definition = this.parser.getParameter(attr.name);
+            if (!definition) {
+                this.warnings.push(`${effect.name}: Parameter "${attr.name}" not found in XML definitions. Skipping.`);
+                return;
+            }
+
+            if (definition.name !== attr.name && this.parser.getRenamedTo(attr.name)) {
+                this.warnings.push(this.parser.describeRename(effect.name, attr.name));
+            }
+
+            if (this.isExpression(definition, attr.value)) {
+                effect.expressions[definition.name] = this.parser.renameReferences(attr.value);
+                return;
+            }
+
+            effect.params[definition.name] = this.parseValue(definition, attr.value);
+        });
+    }
+
+    /**
+     * Reads a ParamName.Random="range" attribute into effect.variations.
+     */
+    parseRandomAttribute(attr, effect) {
+        const paramName = attr.name.slice(0, -'.Random'.length);
+        const definition = this.parser.getParameter(paramName);
+        if (!definition || !this.parser.canVary(definition.name)) {
+            this.warnings.push(`${effect.name}: "${paramName}" can't have a random variation. Skipping "${attr.name}".`);
+            return;
+        }
+        effect.variations[definition.name] = this.parseValue(definition, attr.value);
+    }
+
+    /**
+     * Reads a ParamName.OverLife="(time:value:flag,...)" attribute into
+     * effect.curves, or into a gradient parameter for colour curves.
+     */
+    parseCurveAttribute(attr, effect) {
+        const paramName = attr.name.slice(0, -'.OverLife'.length);
+        const definition = this.parser.getParameter(paramName);
+
+        // Colour curves belong to a gradient parameter
+        const gradientName = Object.keys(GRADIENT_PARAMS)
+            .find(name => definition && GRADIENT_PARAMS[name] === definition.name);
+        const gradient = gradientName && this.parser.getParameter(gradientName);
+        if (gradient) {
+            effect.params[gradient.name] = this.parseValue(gradient, attr.value);
+            return;
+        }
+
+        const curveName = Object.keys(CURVE_PARAMS)
+            .find(name => definition && CURVE_PARAMS[name] === definition.name);
+
+        if (!curveName) {
+            this.warnings.push(`${effect.name}: No editable curve for "${attr.name}". Skipping.`);
+            return;
+        }
+
+        effect.curves[curveName] = this.parseCurve(attr.value);
+    }
+
+    /**
+     * Parses "(t:v:flag,...)" keys into curve points with interpolation modes.
+     */
+    parseCurve(raw) {
+        const modeByCode = {};
+        for (const [mode, code] of Object.entries(INTERPOLATION_CODES)) {
+            modeByCode[code] = mode;
+        }
+
+        return raw.replace(/^\(|\)$/g, '').split(',')
+            .filter(key => key.trim() !== '')
+            .map(key => {
+                const [x, y, flag] = key.split(':');
+                return {
+                    x: parseFloat(x),
+                    y: parseFloat(y),
+                    interpolation: modeByCode[flag] || 'linear'
+                };
+            })
+            .sort((a, b) => a.x - b.x);
+    }
+
+    /**
+     * Converts an attribute string into the value shape the editor widgets use.
+     * @param {Object} definition - The parameter definition from the parser.
+     * @param {string} raw - The attribute value.
+     */
+    parseValue(definition, raw) {
+        return ValueCodec.parse(definition.type, raw);
+    }
+
+    /**
+     * The exporter writes expressions in place of the value, so a numeric
+     * parameter holding a reference or a non-numeric formula is an expression.
+     */
+    isExpression(definition, raw) {
+        if (/\$\{[^}]+\}|@[a-zA-Z_]|%[^%]+%/.test(raw)) return true;
+
+        switch (definition.type) {
+            case 'float':
+            case 'int':
+                return isNaN(Number(raw));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Inserts an effect into the tree, turning dotted name prefixes
+     * (e.g. "Thrusters.Main.Thruster_Main") into folders.
+     */
+    insertEffect(items, effect) {
+        const path = effect.name.split('.');
+        effect.name = path.pop();
+
+        let level = items;
+        path.forEach(folderName => {
+            let folder = level.find(item => item.type === 'folder' && item.name === folderName);
+            if (!folder) {
+                folder = { name: folderName, type: 'folder', items: [] };
+                level.push(folder);
+            }
+            level = folder.items;
+        });
+
+        level.push(effect);
+    }
+
+    countEffects(items) {
+        return items.reduce((count, item) => {
+            const own = item.type === 'effect' ? 1 : 0;
+            return count + own + this.countEffects(item.items || []);
+        }, 0);
+    }
+
+    childElements(node, tagName) {
+        return Array.from(node.children).filter(child => child.tagName === tagName);
+    }
+}
@@ -2,79 +2,204 @@
 // Parses an external XML file to generate parameter definitions.
 // This is now the single source of truth for both UI and Export.
 
+import { parseXML, XmlParseError } from './xmlParser.js';
+import { DefinitionsValidator } from './definitionsValidator.js';
+import { ParameterCondition } from './parameterCondition.js';
+import { ValueCodec } from './valueCodec.js';
+
 export class CryEngineParameterParser {
+
+    // Particle system per effect -> ParticleSystem attribute in the engine XML
+    static PARTICLE_SYSTEMS = { GPU: 'RParticleGPU', CPU: 'RParticleCPU' };
+    static DEFAULT_RENDER_MODE = 'GPU';
+
     constructor() {
         this.parameterGroups = [];
         this.parameterMap = new Map();
         this.parameterByLabel = new Map(); // Map label to param
-        this.aliases = new Map();
+        this.aliases = new Map(); // Old name -> current name
+        this.deprecatedNames = new Set();
+
+        // Problems found in the definitions file: {severity, line, param, message}
+        this.problems = [];
+        this.sourceText = null; // Text last loaded by loadDefinitions/loadFromText
+        this.profile = null; // Definition profile the definitions were loaded for (see DefinitionProfiles)
         
         // This class will be initialized with loadDefinitions
     }
 
     /**
      * Loads and parses the parameter definitions from an XML file.
+     * A failed fetch or malformed XML is recorded in `problems` (see hasErrors).
      * @param {string} xmlPath - The path to the parameters.xml file.
+     * @returns {Array<Object>} The parameter groups (empty if loading failed).
      */
     async loadDefinitions(xmlPath) {
+        let xmlString;
         try {
-            const response = await fetch(xmlPath);
+            const response = await fetch(xmlPath, { cache: 'no-store' });
             if (!response.ok) {
-                throw new Error(`Failed to fetch parameters.xml: ${response.statusText}`);
+                throw new Error(`Failed to fetch ${xmlPath}: ${response.status} ${response.statusText}`);
             }
-            const xmlString = await response.text();
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlString, "application/xml");
-
-            const groups = xmlDoc.querySelectorAll('Group');
-            groups.forEach(groupNode => {
-                const group = {
-                    id: groupNode.getAttribute('name').toLowerCase(),
-                    title: groupNode.getAttribute('displayName') || groupNode.getAttribute('name'),
-                    visible: 'All', // Assuming all are visible
-                    collapsed: groupNode.getAttribute('name') !== 'Spawn', // Collapse all but Spawn
-                    parameters: []
-                };
+            xmlString = await response.text();
+        } catch (error) {
+            console.error("Error loading parameters.xml:", error);
+            this.clear();
+            this.problems = [{ severity: 'error', line: null, param: null, message: error.message }];
+            return [];
+        }
+        return this.loadFromText(xmlString);
+    }
 
-                const params = groupNode.querySelectorAll('Param');
-                params.forEach(paramNode => {
-                    const param = {
-                        name: paramNode.getAttribute('name'),
-                        label: paramNode.getAttribute('displayName'),
-                        type: paramNode.getAttribute('type'),
-                        default: paramNode.getAttribute('default'),
-                        widget: paramNode.getAttribute('widget'),
-                        // Widget hints
-                        min: paramNode.getAttribute('min'),
-                        max: paramNode.getAttribute('max'),
-                        step: paramNode.getAttribute('step'),
-                        labels: paramNode.getAttribute('labels'),
-                        options: Array.from(paramNode.querySelectorAll('Option')).map(opt => opt.textContent)
-                    };
-                    
-                    // Add to group
-                    group.parameters.push(param);
-                    
-                    // Add to maps
-                    this.parameterMap.set(param.name, param);
-                    this.parameterByLabel.set(param.label, param);
-                    
-                    // Store aliases (e.g., EmissionSize for vEmissionSize)
-                    if (param.alias) {
-                        this.aliases.set(param.alias, param.name);
-                    }
+    /**
+     * Like parseDefinitions, but malformed XML is recorded in `problems`
+     * instead of thrown.
+     * @param {string} xmlString - The contents of parameters.xml.
+     * @param {Object} [profile] - Definition profile the file belongs to.
+     * @returns {Array<Object>} The parameter groups (empty if the XML is malformed).
+     */
+    loadFromText(xmlString, profile = null) {
+        this.sourceText = xmlString;
+        try {
+            return this.parseDefinitions(xmlString, profile);
+        } catch (error) {
+            if (!(error instanceof XmlParseError)) throw error;
+            console.error("Error parsing parameters.xml:", error);
+            this.clear();
+            this.profile = profile;
+            this.problems = [{ severity: 'error', line: error.line, param: null, message: error.message.replace(/^Line \d+: /, '') }];
+            return [];
+        }
+    }
+
+    /**
+     * Takes over another parser's definitions without parsing or checking
+     * them again. The maps are copied, so loading into one parser later
+     * leaves the other intact.
+     * @param {CryEngineParameterParser} other
+     */
+    adopt(other) {
+        this.parameterGroups = other.parameterGroups;
+        this.parameterMap = new Map(other.parameterMap);
+        this.parameterByLabel = new Map(other.parameterByLabel);
+        this.aliases = new Map(other.aliases);
+        this.deprecatedNames = new Set(other.deprecatedNames);
+        this.problems = [...other.problems];
+        this.sourceText = other.sourceText;
+        this.profile = other.profile;
+    }
+
+    clear() {
+        this.parameterGroups = [];
+        this.parameterMap.clear();
+        this.parameterByLabel.clear();
+        this.aliases.clear();
+        this.deprecatedNames.clear();
+        this.problems = [];
+    }
+
+    /**
+     * Records a problem in the definitions file and logs it.
+     */
+    report(severity, line, message, param = null) {
+        this.problems.push({ severity, line, param, message });
+        const log = severity === 'error' ? console.error : console.warn;
+        log(`parameters.xml${line ? ` line ${line}` : ''}: ${message}`);
+    }
+
+    /**
+     * Whether the definitions couldn't be loaded or contain errors.
+     * The editor refuses to start with broken definitions.
+     */
+    hasErrors() {
+        return this.parameterGroups.length === 0 || this.problems.some(problem => problem.severity === 'error');
+    }
+
+    /**
+     * Parses parameter definitions from XML text, replacing any loaded before,
+     * and validates them (see DefinitionsValidator). Problems are in `problems`.
+     * Uses the built-in XML parser, so this also works outside the browser
+     * (e.g. the command-line exporter).
+     * @param {string} xmlString - The contents of parameters.xml.
+     * @param {Object} [profile] - Definition profile the file belongs to; its
+     *   default overrides are applied on top of the file's.
+     * @returns {Array<Object>} The parameter groups.
+     * @throws {XmlParseError} If the XML is malformed.
+     */
+    parseDefinitions(xmlString, profile = null) {
+        const root = parseXML(xmlString);
+
+        this.clear();
+        this.profile = profile;
+
+        const groups = root.findAll('Group');
+        groups.forEach(groupNode => {
+            const group = {
+                id: (groupNode.getAttribute('name') || '').toLowerCase(),
+                name: groupNode.getAttribute('name'),
+                line: groupNode.line,
+                title: groupNode.getAttribute('displayName') || groupNode.getAttribute('name'),
+                visible: 'All', // Assuming all are visible
+                collapsed: groupNode.getAttribute('name') !== 'Spawn', // Collapse all but Spawn
+                parameters: []
+            };
+
+            const params = groupNode.findAll('Param');
+            params.forEach(paramNode => {
+                const param = {
+                    name: paramNode.getAttribute('name'),
+                    line: paramNode.line,
+                    label: paramNode.getAttribute('displayName'),
+                    // Documentation shown in tooltips and the parameter reference
+                    description: paramNode.getAttribute('description') || '',
+                    units: paramNode.getAttribute('units') || '',
+                    docs: paramNode.getAttribute('docs') || '',
+                    type: paramNode.getAttribute('type'),
+                    default: paramNode.getAttribute('default'),
+                    widget: paramNode.getAttribute('widget'),
+                    // Widget hints
+                    min: paramNode.getAttribute('min'),
+                    max: paramNode.getAttribute('max'),
+                    step: paramNode.getAttribute('step'),
+                    labels: paramNode.getAttribute('labels'),
+                    directionPad: paramNode.getAttribute('directionPad') === 'true',
+                    // Earlier names still found in saved effects and engine XML
+                    aliases: this.parseNameList(paramNode.getAttribute('aliases')),
+                    deprecatedNames: this.parseNameList(paramNode.getAttribute('deprecatedNames')),
+                    // Particle systems and platforms that support the parameter (empty = all)
+                    renderModes: this.parseNameList(paramNode.getAttribute('renderMode')),
+                    platforms: this.parseNameList(paramNode.getAttribute('platforms')),
+                    options: paramNode.findAll('Option').map(opt => opt.textContent),
+                    // Conditions on other parameters' values (see ParameterCondition)
+                    visibleIf: this.parseCondition(paramNode, 'visibleIf'),
+                    enabledIf: this.parseCondition(paramNode, 'enabledIf')
+                };
+                
+                param.renderModes.filter(mode => !CryEngineParameterParser.PARTICLE_SYSTEMS[mode]).forEach(mode => {
+                    this.report('warning', paramNode.line, `Unknown renderMode "${mode}" on "${param.name}"`, param.name);
                 });
+
+                // Add to group
+                group.parameters.push(param);
                 
-                this.parameterGroups.push(group);
+                // Add to maps
+                this.parameterMap.set(param.name, param);
+                this.parameterByLabel.set(param.label, param);
             });
             
-            console.log(`📦 Parsed ${this.parameterGroups.length} parameter groups from XML.`);
-            return this.parameterGroups;
+            this.parameterGroups.push(group);
+        });
+        
+        this.registerAliases();
+        this.applyProfileDefaults(profile);
+        this.checkConditionReferences();
+        new DefinitionsValidator().validate(this.parameterGroups).forEach(problem => {
+            this.report(problem.severity, problem.line, problem.message, problem.param);
+        });
+        this.problems.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
 
-        } catch (error) {
-            console.error("Error loading or parsing parameters.xml:", error);
-            return [];
-        }
+        console.log(`📦 Parsed ${this.parameterGroups.length} parameter groups from XML.`);
+        return this.parameterGroups;
     }
 
     /**
@@ -99,17 +224,232 @@ export class CryEngineParameterParser {
         return this.parameterByLabel.get(name);
     }
     
-    // --- Other methods required by Exporter ---
-    // (These are simplified as the XML doesn't contain visibility/dependency rules yet)
+    parseNameList(value) {
+        return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+    }
 
-    isParameterVisible(paramName, renderMode = 'All') {
-        // TODO: This logic could be moved into the XML definition
-        return true; 
+    /**
+     * Maps every alias and deprecated name (e.g. fLifeTime) to the current
+     * name (e.g. fParticleLifeTime). Names that clash are reported and ignored.
+     */
+    registerAliases() {
+        this.parameterMap.forEach(param => {
+            const oldNames = [
+                ...param.aliases.map(name => ({ name, deprecated: false })),
+                ...param.deprecatedNames.map(name => ({ name, deprecated: true }))
+            ];
+            oldNames.forEach(({ name, deprecated }) => {
+                if (this.parameterMap.has(name) || this.aliases.has(name)) {
+                    this.report('warning', param.line, `Old name "${name}" of "${param.name}" is already used. Ignoring.`, param.name);
+                    return;
+                }
+                this.aliases.set(name, param.name);
+                if (deprecated) this.deprecatedNames.add(name);
+            });
+        });
     }
 
-    isParameterEnabled(paramName, currentValues) {
-        // TODO: This logic could be moved into the XML definition
-        return true;
+    /**
+     * The current name for an alias or deprecated name, or null if `name`
+     * isn't an old name.
+     */
+    getRenamedTo(name) {
+        return this.aliases.get(name) || null;
+    }
+
+    describeRename(effectName, oldName) {
+        const newName = this.aliases.get(oldName);
+        return this.deprecatedNames.has(oldName)
+            ? `${effectName}: "${oldName}" is deprecated, migrated to "${newName}"`
+            : `${effectName}: "${oldName}" was renamed to "${newName}"`;
+    }
+
+    /**
+     * Rewrites ${name}, %name% and @name references to old parameter names.
+     * @param {Map<string, string>} [renames] - Old name -> new name; the aliases by default.
+     */
+    renameReferences(expression, renames = this.aliases) {
+        const rename = (match, name, format) => {
+            const newName = renames.get(name.trim());
+            return newName ? format(newName) : match;
+        };
+        return expression
+            .replace(/\$\{([^}]+)\}/g, (m, name) => rename(m, name, n => `\${${n}}`))
+            .replace(/%([^%]+)%/g, (m, name) => rename(m, name, n => `%${n}%`))
+            .replace(/@([a-zA-Z_][a-zA-Z0-9_]*)/g, (m, name) => rename(m, name, n => `@${n}`));
+    }
+
+    /**
+     * Moves an effect's params, variations and expressions from old names to
+     * the current ones, including references inside expressions.
+     * @param {Object} effect - An effect item with params and expressions.
+     * @returns {Array<string>} A migration notice per renamed parameter.
+     */
+    migrateEffectParams(effect) {
+        const notices = [];
+        const effectName = effect.name || 'Unnamed';
+
+        [effect.params, effect.variations, effect.expressions].filter(Boolean).forEach(values => {
+            Object.keys(values).forEach(oldName => {
+                const newName = this.aliases.get(oldName);
+                if (!newName) return;
+
+                if (values[newName] === undefined) {
+                    values[newName] = values[oldName];
+                    notices.push(this.describeRename(effectName, oldName));
+                } else {
+                    notices.push(`${effectName}: dropped "${oldName}", "${newName}" is already set`);
+                }
+                delete values[oldName];
+            });
+        });
+
+        Object.entries(effect.expressions || {}).forEach(([paramName, expression]) => {
+            effect.expressions[paramName] = this.renameReferences(expression);
+        });
+
+        return notices;
+    }
+
+    /**
+     * Compiles a condition attribute. A malformed condition is reported and
+     * ignored, so the parameter stays visible and editable.
+     * @returns {ParameterCondition|null}
+     */
+    parseCondition(paramNode, attribute) {
+        const source = paramNode.getAttribute(attribute);
+        if (!source || !source.trim()) return null;
+        try {
+            return ParameterCondition.parse(source);
+        } catch (error) {
+            this.report('warning', paramNode.line, `${attribute} on "${paramNode.getAttribute('name')}": ${error.message}`, paramNode.getAttribute('name'));
+            return null;
+        }
     }
-}
 
+    /**
+     * Applies a profile's <Default> overrides. They are validated like the
+     * defaults in the definitions file.
+     */
+    applyProfileDefaults(profile) {
+        Object.entries(profile?.defaults || {}).forEach(([name, value]) => {
+            const param = this.getParameter(name);
+            if (!param) {
+                this.report('warning', null, `Profile "${profile.id}" sets a default for unknown parameter "${name}"`, name);
+                return;
+            }
+            param.default = value;
+        });
+    }
+
+    checkConditionReferences() {
+        this.parameterMap.forEach(param => {
+            [param.visibleIf, param.enabledIf].filter(Boolean).forEach(condition => {
+                condition.references.forEach(name => {
+                    if (!this.getParameter(name)) {
+                        this.report('warning', param.line, `Condition "${condition.source}" on "${param.name}" references unknown parameter "${name}"`, param.name);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Evaluates one of a parameter's conditions against the current values.
+     * Parameters missing from `currentValues` use their default.
+     */
+    evaluateCondition(condition, currentValues = {}) {
+        if (!condition) return true;
+        return condition.evaluate(name => {
+            const definition = this.getParameter(name);
+            if (!definition) return null;
+            const value = currentValues[definition.name] ?? currentValues[name];
+            return {
+                definition,
+                value: value !== undefined
+                    ? ValueCodec.normalize(definition.type, value)
+                    : ValueCodec.parse(definition.type, definition.default)
+            };
+        });
+    }
+
+    /**
+     * Whether a parameter is shown, given the effect's values (visibleIf).
+     * @param {string} paramName
+     * @param {Object} currentValues - paramName -> value
+     */
+    isParameterVisible(paramName, currentValues = {}) {
+        const param = this.getParameter(paramName);
+        return !param || this.evaluateCondition(param.visibleIf, currentValues);
+    }
+
+    /**
+     * Whether a parameter can be edited, given the effect's values (enabledIf).
+     */
+    isParameterEnabled(paramName, currentValues = {}) {
+        const param = this.getParameter(paramName);
+        return !param || this.evaluateCondition(param.enabledIf, currentValues);
+    }
+
+    /**
+     * Whether a parameter can carry a random variation range (floats and vectors).
+     */
+    canVary(paramName) {
+        const param = this.getParameter(paramName);
+        return !!param && (param.type === 'float' || param.type === 'vec3');
+    }
+
+    /**
+     * Whether a variation range actually varies the value (isn't zero).
+     * @param {string} paramName
+     * @param {number|Array<number>} range - ± range; [x, y, z] for vectors.
+     */
+    hasVariation(paramName, range) {
+        if (!this.canVary(paramName) || range === undefined || range === null) return false;
+        const param = this.getParameter(paramName);
+        return !ValueCodec.equals(param.type, range, param.type === 'vec3' ? [0, 0, 0] : 0);
+    }
+
+    /**
+     * An effect's particle system ('GPU' or 'CPU').
+     */
+    getRenderMode(effect) {
+        return CryEngineParameterParser.PARTICLE_SYSTEMS[effect?.particleSystem]
+            ? effect.particleSystem
+            : CryEngineParameterParser.DEFAULT_RENDER_MODE;
+    }
+
+    /**
+     * Whether a particle system (renderMode) and, if given, a target platform
+     * support a parameter. Unsupported parameters are hidden and not exported.
+     * @param {string} paramName
+     * @param {string} renderMode - 'GPU' or 'CPU'.
+     * @param {string|null} [platform] - null matches every platform.
+     */
+    isParameterSupported(paramName, renderMode = CryEngineParameterParser.DEFAULT_RENDER_MODE, platform = null) {
+        const param = this.getParameter(paramName);
+        if (!param) return true;
+        if (param.renderModes.length > 0 && !param.renderModes.includes(renderMode)) return false;
+        return !platform || param.platforms.length === 0 || param.platforms.includes(platform);
+    }
+
+    /**
+     * Why a parameter isn't supported, e.g. "not supported by CPU particles".
+     */
+    describeUnsupported(paramName, renderMode, platform = null) {
+        const param = this.getParameter(paramName);
+        if (param && param.renderModes.length > 0 && !param.renderModes.includes(renderMode)) {
+            return `not supported by ${renderMode} particles`;
+        }
+        return `not supported on ${platform}`;
+    }
+
+    /**
+     * Whether a parameter has any effect: visible and enabled. Inactive
+     * parameters are not exported.
+     */
+    isParameterActive(paramName, currentValues = {}) {
+        return this.isParameterVisible(paramName, currentValues) &&
+            this.isParameterEnabled(paramName, currentValues);
+    }
+}
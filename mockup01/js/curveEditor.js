@@ -51,6 +51,15 @@ export class CurveEditor {
                 toolbar.querySelectorAll('[data-mode]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 this.interpolationMode = btn.dataset.mode;
+
+                // Applies to the selected curve only; with none selected it is just
+                // the mode for new keys, so untouched curves are not stored (and exported)
+                if (!this.selectedCurve) {
+                    this.app.showNotification(`Interpolation: ${this.interpolationMode} (select a curve to apply it)`, 'info');
+                    return;
+                }
+                this.selectedCurve.interpolation = this.interpolationMode;
+                this.dispatchCurveChange(this.selectedCurve);
                 this.render();
                 this.app.showNotification(`Interpolation: ${this.interpolationMode}`, 'info');
             });
@@ -222,6 +231,7 @@ export class CurveEditor {
         
         this.selectedPoint = newPoint;
         this.render();
+        this.dispatchCurveChange(curve);
         this.app.showNotification(`Added point to ${curve.name}`, 'success');
     }
 
@@ -231,6 +241,7 @@ export class CurveEditor {
             curve.points.splice(index, 1);
             this.selectedPoint = null;
             this.render();
+            this.dispatchCurveChange(curve);
             this.app.showNotification(`Deleted point from ${curve.name}`, 'success');
         } else {
             this.app.showNotification('Cannot delete - curve needs at least 2 points', 'warning');
@@ -267,6 +278,8 @@ export class CurveEditor {
                 this.selectedPoint = point;
                 this.selectedCurve = curve;
                 this.isDragging = true;
+                this.interpolationMode = curve.interpolation || 'linear';
+                this.updateModeButtons();
                 this.render();
             } else {
                 // Clicked on canvas - add point to selected curve
@@ -281,6 +294,7 @@ export class CurveEditor {
                     this.selectedCurve.points.sort((a, b) => a.x - b.x);
                     this.selectedPoint = newPoint;
                     this.render();
+                    this.dispatchCurveChange(this.selectedCurve);
                     this.app.showNotification(`Added point to ${this.selectedCurve.name}`, 'success');
                 }
             }
@@ -298,12 +312,7 @@ export class CurveEditor {
 
             // Dispatch curve changed event
             if (this.selectedCurve) {
-                document.dispatchEvent(new CustomEvent('curveChanged', {
-                    detail: {
-                        curve: this.selectedCurve.name,
-                        points: this.selectedCurve.points
-                    }
-                }));
+                this.dispatchCurveChange(this.selectedCurve);
             }
         });
 
@@ -337,17 +346,40 @@ export class CurveEditor {
             this.selectedCurve.points.sort((a, b) => a.x - b.x);
             this.selectedPoint = newPoint;
             this.render();
+            this.dispatchCurveChange(this.selectedCurve);
             this.app.showNotification(`Added point to ${this.selectedCurve.name}`, 'success');
         });
     }
 
+    /**
+     * Notifies the app that a curve was edited. Every key carries the curve's
+     * interpolation mode so it is stored, simulated and exported with the keys.
+     * @param {object} curve - The edited curve.
+     */
+    dispatchCurveChange(curve) {
+        const interpolation = curve.interpolation || 'linear';
+        document.dispatchEvent(new CustomEvent('curveChanged', {
+            detail: {
+                curve: curve.name,
+                points: curve.points.map(p => ({ x: p.x, y: p.y, interpolation }))
+            }
+        }));
+    }
+
+    updateModeButtons() {
+        const toolbar = this.container?.querySelector('.curve-toolbar');
+        if (!toolbar) return;
+        toolbar.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.interpolationMode);
+        });
+    }
+
     loadEffectCurves(effectData) {
-        // Load sample curves
-        this.curves = [
+        // Default curve shapes, used for any curve the effect hasn't edited yet
+        const defaults = [
             {
                 name: 'Size',
                 color: '#ff6b35',
-                visible: true,
                 points: [
                     { x: 0, y: 0.2 },
                     { x: 0.3, y: 0.8 },
@@ -358,7 +390,6 @@ export class CurveEditor {
             {
                 name: 'Opacity',
                 color: '#4ecdc4',
-                visible: true,
                 points: [
                     { x: 0, y: 0 },
                     { x: 0.2, y: 1 },
@@ -369,7 +400,6 @@ export class CurveEditor {
             {
                 name: 'Velocity',
                 color: '#f7b731',
-                visible: true,
                 points: [
                     { x: 0, y: 1 },
                     { x: 0.4, y: 0.6 },
@@ -379,6 +409,23 @@ export class CurveEditor {
             }
         ];
 
+        const saved = effectData?.curves || {};
+        this.curves = defaults.map(curve => {
+            const savedPoints = saved[curve.name.toLowerCase()];
+            const points = savedPoints && savedPoints.length > 0 ? savedPoints : curve.points;
+            return {
+                name: curve.name,
+                color: curve.color,
+                visible: true,
+                interpolation: points[0].interpolation || 'linear',
+                points: points.map(p => ({ x: p.x, y: p.y }))
+            };
+        });
+
+        this.selectedPoint = null;
+        this.selectedCurve = null;
+        this.interpolationMode = 'linear';
+        this.updateModeButtons();
         this.render();
     }
 
@@ -468,11 +515,12 @@ export class CurveEditor {
         this.ctx.shadowBlur = 5;
         this.ctx.beginPath();
 
-        if (this.interpolationMode === 'linear') {
+        const mode = curve.interpolation || this.interpolationMode;
+        if (mode === 'linear') {
             this.drawLinearCurve(curve, width, height);
-        } else if (this.interpolationMode === 'bezier') {
+        } else if (mode === 'bezier') {
             this.drawBezierCurve(curve, width, height);
-        } else if (this.interpolationMode === 'step') {
+        } else if (mode === 'step') {
             this.drawStepCurve(curve, width, height);
         }
 
@@ -623,12 +671,7 @@ export class CurveEditor {
         this.zoom = state.zoom || 1;
         
         // Update toolbar buttons
-        const toolbar = this.container.querySelector('.curve-toolbar');
-        if (toolbar) {
-            toolbar.querySelectorAll('[data-mode]').forEach(btn => {
-                btn.classList.toggle('active', btn.dataset.mode === this.interpolationMode);
-            });
-        }
+        this.updateModeButtons();
 
         this.render();
     }
@@ -0,0 +1,233 @@
+// Definition Profiles
+// Named engine targets, listed in profiles.xml. Each profile has its own
+// parameter definitions file, the SandboxVersion / ParticleVersion written on
+// export, and optional overrides of the file's defaults.
+// One CryEngineParameterParser, owned here, serves every module. It holds the
+// definitions of the active profile: the one of the library being edited.
+// Each profile's definitions are parsed once per load and swapped into it.
+
+import { CryEngineParameterParser } from './cryEngineParameterParser.js';
+import { parseXML } from './xmlParser.js';
+
+const fetchText = async (path) => {
+    const response = await fetch(path, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Failed to fetch ${path}: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+};
+
+export class DefinitionProfiles {
+
+    static MANIFEST = 'profiles.xml';
+
+    // Used when there is no profiles.xml
+    static FALLBACK = {
+        id: 'main',
+        name: 'Main Branch',
+        parameters: 'parameters.xml',
+        sandboxVersion: '1.0.151.20733',
+        particleVersion: '53',
+        defaults: {}
+    };
+
+    /**
+     * @param {CryEngineParameterParser} [parser] - The parser to share.
+     */
+    constructor(parser = new CryEngineParameterParser()) {
+        this.parser = parser;
+        this.profiles = [DefinitionProfiles.FALLBACK];
+        this.defaultId = DefinitionProfiles.FALLBACK.id;
+        this.activeId = null;
+        this.sources = new Map(); // Definitions path -> XML text, or the Error reading it
+        this.parsers = new Map(); // Profile id -> parser with its definitions (see getParser)
+        this.problems = []; // Problems in the manifest itself
+        this.manifestText = null;
+    }
+
+    /**
+     * Reads the manifest and every profile's definitions file, then activates
+     * the default profile. Problems end up in the parser (see hasErrors).
+     * @param {function(string): (string|Promise<string>)} [readText] - Reads a
+     *   file relative to the editor; fetches it by default.
+     */
+    async load(readText = fetchText) {
+        this.profiles = [DefinitionProfiles.FALLBACK];
+        this.defaultId = DefinitionProfiles.FALLBACK.id;
+        this.problems = [];
+        this.manifestText = null;
+        try {
+            this.manifestText = await readText(DefinitionProfiles.MANIFEST);
+        } catch (error) {
+            console.warn(`No ${DefinitionProfiles.MANIFEST} (${error.message}), using the built-in profile`);
+        }
+        if (this.manifestText !== null) {
+            this.parseManifest(this.manifestText);
+        }
+
+        this.sources.clear();
+        this.parsers.clear();
+        for (const path of new Set(this.profiles.map(profile => profile.parameters))) {
+            try {
+                this.sources.set(path, await readText(path));
+            } catch (error) {
+                console.error(`Error loading ${path}:`, error);
+                this.sources.set(path, error);
+            }
+        }
+
+        this.activeId = null;
+        this.activate(this.defaultId);
+    }
+
+    /**
+     * Reads profiles from profiles.xml. Broken entries are reported and
+     * skipped; without any usable entry the built-in profile stays.
+     */
+    parseManifest(xmlString) {
+        this.problems = [];
+        const report = (line, message) => {
+            this.problems.push({ severity: 'error', file: DefinitionProfiles.MANIFEST, line, param: null, message });
+            console.error(`${DefinitionProfiles.MANIFEST}${line ? ` line ${line}` : ''}: ${message}`);
+        };
+
+        let root;
+        try {
+            root = parseXML(xmlString);
+        } catch (error) {
+            report(error.line, error.message.replace(/^Line \d+: /, ''));
+            return;
+        }
+
+        const profiles = [];
+        root.findAll('Profile').forEach(node => {
+            const missing = ['id', 'parameters', 'sandboxVersion', 'particleVersion'].filter(name => !node.getAttribute(name));
+            if (missing.length > 0) {
+                report(node.line, `<Profile> is missing ${missing.join(', ')}`);
+                return;
+            }
+            const id = node.getAttribute('id');
+            if (profiles.some(profile => profile.id === id)) {
+                report(node.line, `Duplicate profile "${id}"`);
+                return;
+            }
+            profiles.push({
+                id,
+                name: node.getAttribute('name') || id,
+                parameters: node.getAttribute('parameters'),
+                sandboxVersion: node.getAttribute('sandboxVersion'),
+                particleVersion: node.getAttribute('particleVersion'),
+                defaults: Object.fromEntries(node.findAll('Default').map(def => [def.getAttribute('param'), def.getAttribute('value') ?? '']))
+            });
+        });
+
+        if (profiles.length === 0) {
+            report(root.line, 'No usable <Profile> entries');
+            return;
+        }
+        this.profiles = profiles;
+
+        const defaultId = root.getAttribute('default');
+        this.defaultId = profiles.some(profile => profile.id === defaultId) ? defaultId : profiles[0].id;
+        if (defaultId && defaultId !== this.defaultId) {
+            report(root.line, `Default profile "${defaultId}" does not exist`);
+        }
+    }
+
+    list() {
+        return this.profiles;
+    }
+
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    getDefault() {
+        return this.get(this.defaultId);
+    }
+
+    getActive() {
+        return this.get(this.activeId) || this.getDefault();
+    }
+
+    /**
+     * A known profile id: `id` itself, or the default for unknown and missing ids.
+     */
+    resolveId(id) {
+        return this.get(id) ? id : this.defaultId;
+    }
+
+    findByParticleVersion(version) {
+        return this.profiles.find(profile => profile.particleVersion === version) || null;
+    }
+
+    /**
+     * Loads a profile's definitions into the shared parser.
+     * @param {string} id - Unknown ids activate the default profile.
+     * @returns {boolean} True if the active profile changed.
+     */
+    activate(id) {
+        const profile = this.get(this.resolveId(id));
+        if (profile.id === this.activeId) return false;
+        this.activeId = profile.id;
+        this.loadParser(profile);
+        return true;
+    }
+
+    /**
+     * The files the active definitions were loaded from and their text
+     * (null if a file couldn't be read), for hot reload.
+     * @returns {Object} path -> text
+     */
+    getLoadedFiles() {
+        const source = this.sources.get(this.getActive().parameters);
+        return {
+            [DefinitionProfiles.MANIFEST]: this.manifestText,
+            [this.getActive().parameters]: typeof source === 'string' ? source : null
+        };
+    }
+
+    loadParser(profile) {
+        this.parser.adopt(this.getParser(profile.id));
+    }
+
+    /**
+     * Runs `callback` with a profile's definitions loaded, then restores the
+     * active profile. The callback must be synchronous.
+     * @returns {*} The callback's result.
+     */
+    use(id, callback) {
+        const previous = this.activeId;
+        if (!this.activate(id)) return callback();
+        try {
+            return callback();
+        } finally {
+            this.activate(previous);
+        }
+    }
+
+    /**
+     * A profile's own parser, parsed and checked on first use after each
+     * load. Its problems include those of the manifest. ProfileConverter
+     * compares two of them; everything else uses the shared parser.
+     */
+    getParser(id) {
+        const profile = this.get(this.resolveId(id));
+        if (this.parsers.has(profile.id)) return this.parsers.get(profile.id);
+
+        const parser = new CryEngineParameterParser();
+        const source = this.sources.get(profile.parameters);
+        if (typeof source === 'string') {
+            parser.loadFromText(source, profile);
+        } else {
+            parser.profile = profile;
+            parser.problems.push({ severity: 'error', line: null, param: null, message: source?.message || `${profile.parameters} was not loaded` });
+        }
+        parser.problems.forEach(problem => {
+            problem.file = problem.file || profile.parameters;
+        });
+        parser.problems.unshift(...this.problems);
+        this.parsers.set(profile.id, parser);
+        return parser;
+    }
+}
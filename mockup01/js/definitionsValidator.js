@@ -0,0 +1,118 @@
+// Definitions Validator
+// Checks the parameter definitions loaded from parameters.xml for mistakes
+// the editor would otherwise accept silently: duplicate names, unknown types
+// and widgets, defaults outside min/max or missing from an enum's options.
+// Every problem carries the XML line of the offending element.
+
+import { ValueCodec } from './valueCodec.js';
+import { WidgetFactory } from './WidgetFactory.js';
+
+export class DefinitionsValidator {
+
+    /**
+     * @param {Array<Object>} groups - Parameter groups from CryEngineParameterParser.
+     * @returns {Array<{severity: string, line: number|null, param: string|null, message: string}>}
+     */
+    validate(groups) {
+        const problems = [];
+        const seen = new Map(); // name -> line of its first definition
+
+        groups.forEach(group => {
+            if (!group.name) {
+                problems.push({ severity: 'error', line: group.line, param: null, message: '<Group> has no name' });
+            }
+
+            group.parameters.forEach(param => {
+                const report = (severity, message) => {
+                    problems.push({ severity, line: param.line, param: param.name, message });
+                };
+
+                if (!param.name) {
+                    report('error', '<Param> has no name');
+                    return;
+                }
+                if (seen.has(param.name)) {
+                    report('error', `Duplicate parameter "${param.name}" (first defined on line ${seen.get(param.name)})`);
+                } else {
+                    seen.set(param.name, param.line);
+                }
+                if (!param.label) {
+                    report('warning', `"${param.name}" has no displayName`);
+                }
+
+                if (!ValueCodec.isKnownType(param.type)) {
+                    report('error', `"${param.name}" has unknown type "${param.type}"`);
+                    return;
+                }
+                this.checkWidget(param, report);
+                this.checkDefault(param, report);
+            });
+        });
+
+        return problems;
+    }
+
+    checkWidget(param, report) {
+        const widget = WidgetFactory.get(param.widget);
+        if (!widget) {
+            const widgets = [...WidgetFactory.registry.keys()].join(', ');
+            report('error', `"${param.name}" has unknown widget "${param.widget}" (expected one of ${widgets})`);
+            return;
+        }
+        if (widget.types && !widget.types.includes(param.type)) {
+            report('error', `"${param.name}": a ${param.widget} widget can't edit ${param.type} values`);
+        }
+        if (param.directionPad && param.widget !== 'vector') {
+            report('warning', `"${param.name}": directionPad only applies to vector widgets`);
+        }
+    }
+
+    checkDefault(param, report) {
+        const numeric = param.type === 'float' || param.type === 'int' || param.type === 'vec3';
+        const min = this.parseBound(param, 'min', report);
+        const max = this.parseBound(param, 'max', report);
+        if (min !== null && max !== null && min > max) {
+            report('error', `"${param.name}" has min ${min} greater than max ${max}`);
+        }
+
+        if (param.default === null) {
+            report('warning', `"${param.name}" has no default`);
+            return;
+        }
+
+        const value = ValueCodec.parse(param.type, param.default);
+        if (numeric) {
+            const components = param.type === 'vec3' ? value : [value];
+            if (components.length !== (param.type === 'vec3' ? 3 : 1) || components.some(c => !Number.isFinite(c))) {
+                report('error', `"${param.name}" default "${param.default}" is not a valid ${param.type}`);
+                return;
+            }
+            if (components.some(c => (min !== null && c < min) || (max !== null && c > max))) {
+                report('error', `"${param.name}" default ${param.default} is outside ${min ?? '−∞'} to ${max ?? '∞'}`);
+            }
+        } else if (param.type === 'enum') {
+            if (param.options.length === 0) {
+                report('error', `"${param.name}" is an enum without <Option>s`);
+            } else if (!param.options.includes(value)) {
+                report('error', `"${param.name}" default "${param.default}" is not one of its options (${param.options.join(', ')})`);
+            }
+        } else if (param.type === 'color' && !/^#[0-9a-f]{6}$/i.test(param.default.trim())) {
+            report('error', `"${param.name}" default "${param.default}" is not a #rrggbb color`);
+        } else if (param.type === 'gradient' && value.length === 0) {
+            report('error', `"${param.name}" default "${param.default}" is not a gradient: expected (time:r,g,b,...) keys`);
+        } else if (param.type === 'bool' && !['true', 'false', '1', '0'].includes(param.default.trim().toLowerCase())) {
+            report('error', `"${param.name}" default "${param.default}" is not true or false`);
+        }
+    }
+
+    parseBound(param, attribute, report) {
+        const raw = param[attribute];
+        if (raw === null || raw === undefined || raw === '') return null;
+        const value = parseFloat(raw);
+        if (!Number.isFinite(value)) {
+            report('error', `"${param.name}" has ${attribute}="${raw}", which is not a number`);
+            return null;
+        }
+        return value;
+    }
+}
@@ -0,0 +1,89 @@
+// Definitions Watcher - Hot reload for the parameter definitions
+// Polls profiles.xml and the active profile's definitions file and asks the
+// app to reload when either changes, so edits (and mistakes) show up in the
+// editor without reloading the page.
+// Runs while the definitions error screen is up, or when switched on from
+// Tools > Watch Definitions.
+
+export class DefinitionsWatcher {
+
+    static POLL_INTERVAL = 1000; // ms
+
+    constructor() {
+        this.app = null;
+        this.files = new Map(); // path -> text last seen (null if it couldn't be read)
+        this.timer = null;
+        this.polling = false;
+        this.enabled = false; // Switched on by the user (vs. only while the error screen is up)
+    }
+
+    init(app) {
+        console.log('👀 Initializing Definitions Watcher');
+        this.app = app;
+    }
+
+    /**
+     * Sets the files to watch.
+     * @param {Object} files - path -> the text the definitions were loaded from.
+     */
+    watch(files) {
+        this.files = new Map(Object.entries(files));
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), DefinitionsWatcher.POLL_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Switches hot reload on or off from the menu.
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        enabled ? this.start() : this.stop();
+        document.querySelector('.menu-option[data-action="watchdefs"]')?.classList.toggle('checked', enabled);
+    }
+
+    /**
+     * Fetches the watched files and reloads the definitions if one changed.
+     * A file that can't be fetched counts as missing.
+     * @param {boolean} [force] - Reload even if nothing changed.
+     */
+    async poll(force = false) {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            let changed = false;
+            for (const [path, lastText] of this.files) {
+                const text = await this.read(path);
+                if (text !== lastText) {
+                    console.log(`👀 ${path} changed, reloading definitions`);
+                    changed = true;
+                }
+            }
+            if (changed || force) {
+                await this.app.reloadDefinitions();
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async read(path) {
+        try {
+            const response = await fetch(path, { cache: 'no-store' });
+            return response.ok ? await response.text() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
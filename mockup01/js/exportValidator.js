@@ -0,0 +1,185 @@
+// Export Validator
+// Checks effect data against the parameter definitions in parameters.xml:
+// types, min/max ranges, enum options, unknown parameter names and
+// expressions that reference parameters which don't exist. Asset paths are
+// checked against the asset catalog, when one is loaded.
+
+export class ExportValidator {
+
+    // Same reference syntaxes the ParameterManager evaluates
+    static REFERENCE_PATTERNS = [
+        /\$\{([^}]+)\}/g,
+        /@([a-zA-Z_][a-zA-Z0-9_\s]*)/g,
+        /%([^%]+)%/g
+    ];
+
+    /**
+     * @param {CryEngineParameterParser} parser - A parser with definitions loaded.
+     */
+    constructor(parser) {
+        this.parser = parser;
+        // Platform being exported for; null checks against every platform
+        this.targetPlatform = null;
+        // AssetCatalog to check asset paths against; null skips the check
+        this.assets = null;
+    }
+
+    /**
+     * Validates one effect (not its children).
+     * @param {Object} effect - Effect data with params and expressions.
+     *   Export data built by the app carries the library item as `source`.
+     * @returns {Array<{severity: string, effect: Object, effectName: string, param: string|null, message: string}>}
+     */
+    validateEffect(effect) {
+        const problems = [];
+        const effectName = effect.name || effect.effectName || 'Unnamed';
+        const report = (severity, param, message) => {
+            problems.push({ severity, effect: effect.source || effect, effectName, param, message });
+        };
+
+        if (!effect.name && !effect.effectName) {
+            report('error', null, 'Effect must have a name');
+        }
+
+        const expressions = effect.expressions || {};
+        const renderMode = this.parser.getRenderMode(effect);
+        // Conditions see inherited values too, as in the exporter
+        const effectiveParams = { ...effect.inheritedParams, ...effect.params };
+
+        for (const [paramName, value] of Object.entries(effect.params || {})) {
+            const definition = this.parser.getParameter(paramName);
+            if (!definition) {
+                report('warning', paramName, `Unknown parameter "${paramName}" will not be exported`);
+                continue;
+            }
+            if (!this.parser.isParameterSupported(definition.name, renderMode, this.targetPlatform)) {
+                report('warning', definition.name,
+                    `${definition.label}: ${this.parser.describeUnsupported(definition.name, renderMode, this.targetPlatform)}, will not be exported`);
+                continue;
+            }
+            // An expression replaces the stored value on export
+            if (expressions[paramName] !== undefined || expressions[definition.name] !== undefined) continue;
+            // Inactive parameters (visibleIf / enabledIf) are not exported
+            if (!this.parser.isParameterActive(definition.name, effectiveParams)) continue;
+
+            const message = this.checkValue(definition, value);
+            if (message) {
+                report('error', definition.name, `${definition.label}: ${message}`);
+            } else if (definition.widget === 'asset' && value && this.assets?.isLoaded() && !this.assets.has(value)) {
+                report('warning', definition.name, `${definition.label}: "${value}" is not in the asset catalog (${this.assets.source})`);
+            }
+        }
+
+        for (const [paramName, range] of Object.entries(effect.variations || {})) {
+            const definition = this.parser.getParameter(paramName);
+            if (!definition || !this.parser.canVary(definition.name)) {
+                report('warning', definition ? definition.name : paramName,
+                    `Random variation on ${definition ? definition.label : `unknown parameter "${paramName}"`} will not be exported`);
+                continue;
+            }
+            const message = this.checkVariation(definition, range);
+            if (message) {
+                report('error', definition.name, `${definition.label}: Random variation: ${message}`);
+            }
+        }
+
+        for (const [paramName, expression] of Object.entries(expressions)) {
+            const definition = this.parser.getParameter(paramName);
+            if (!definition) {
+                report('warning', paramName, `Expression on unknown parameter "${paramName}"`);
+            }
+            const label = definition ? definition.label : paramName;
+
+            this.extractReferences(expression).forEach(ref => {
+                if (!this.parser.getParameter(ref)) {
+                    report('error', definition ? definition.name : paramName,
+                        `${label}: Expression references missing parameter "${ref}"`);
+                }
+            });
+        }
+
+        return problems;
+    }
+
+    /**
+     * Checks a value against its definition.
+     * @returns {string|null} What is wrong with the value, or null if it's valid.
+     */
+    checkValue(definition, value) {
+        switch (definition.type) {
+            case 'float':
+            case 'int':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    return `Expected a number, got ${JSON.stringify(value)}`;
+                }
+                if (definition.type === 'int' && !Number.isInteger(value)) {
+                    return `Expected a whole number, got ${value}`;
+                }
+                return this.checkRange(definition, value);
+            case 'bool':
+                return typeof value === 'boolean' ? null : `Expected true or false, got ${JSON.stringify(value)}`;
+            case 'vec3': {
+                // Canonical vector shape is [x, y, z] (see ValueCodec)
+                if (!Array.isArray(value) || value.length !== 3 ||
+                    !value.every(c => typeof c === 'number' && Number.isFinite(c))) {
+                    return `Expected three numbers, got ${JSON.stringify(value)}`;
+                }
+                for (const component of value) {
+                    const message = this.checkRange(definition, component);
+                    if (message) return message;
+                }
+                return null;
+            }
+            case 'color':
+                return /^#[0-9a-f]{6}$/i.test(value) ? null : `Expected a #rrggbb color, got ${JSON.stringify(value)}`;
+            case 'gradient': {
+                // Canonical gradient shape is [{t, color, intensity}] (see ValueCodec)
+                if (!Array.isArray(value) || value.length === 0) {
+                    return `Expected at least one color stop, got ${JSON.stringify(value)}`;
+                }
+                const invalid = value.find(stop => !(stop?.t >= 0 && stop.t <= 1) ||
+                    !/^#[0-9a-f]{6}$/i.test(stop.color) || !(stop.intensity >= 0));
+                return invalid ? `Invalid color stop ${JSON.stringify(invalid)}` : null;
+            }
+            case 'enum':
+                return definition.options.length === 0 || definition.options.includes(value)
+                    ? null
+                    : `"${value}" is not one of ${definition.options.join(', ')}`;
+            case 'string':
+                return typeof value === 'string' ? null : `Expected text, got ${JSON.stringify(value)}`;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Checks a ± variation range: a non-negative number, or three for vectors.
+     * @returns {string|null}
+     */
+    checkVariation(definition, range) {
+        const components = definition.type === 'vec3' ? range : [range];
+        if (!Array.isArray(components) || components.length !== (definition.type === 'vec3' ? 3 : 1) ||
+            !components.every(c => typeof c === 'number' && Number.isFinite(c))) {
+            return `Expected ${definition.type === 'vec3' ? 'three numbers' : 'a number'}, got ${JSON.stringify(range)}`;
+        }
+        return components.some(c => c < 0) ? `Expected a range of 0 or more, got ${JSON.stringify(range)}` : null;
+    }
+
+    checkRange(definition, value) {
+        const min = definition.min !== null && definition.min !== undefined ? parseFloat(definition.min) : NaN;
+        const max = definition.max !== null && definition.max !== undefined ? parseFloat(definition.max) : NaN;
+        if (!isNaN(min) && value < min) return `${value} is below the minimum of ${min}`;
+        if (!isNaN(max) && value > max) return `${value} is above the maximum of ${max}`;
+        return null;
+    }
+
+    extractReferences(expression) {
+        const refs = new Set();
+        ExportValidator.REFERENCE_PATTERNS.forEach(pattern => {
+            for (const match of String(expression).matchAll(pattern)) {
+                refs.add(match[1].trim());
+            }
+        });
+        return refs;
+    }
+}
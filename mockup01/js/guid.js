@@ -0,0 +1,15 @@
+// GUID helper shared by the library, importer and exporter.
+// Effects get their GUID once (on creation or import) and keep it for life,
+// so re-exporting a library never rewrites engine-side references.
+
+/**
+ * Generates a random (version 4) GUID, e.g. "3b77c6b1-3cb3-4881-aaf6-912d29482de6".
+ * @returns {string}
+ */
+export function generateGUID() {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+        const r = Math.random() * 16 | 0;
+        const v = c === 'x' ? r : (r & 0x3 | 0x8);
+        return v.toString(16);
+    });
+}
@@ -0,0 +1,12 @@
+// HTML helpers
+// Markup is built with template strings and innerHTML; anything that comes
+// from the definitions, the libraries or the user goes through escapeHTML.
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values.
+ * @param {*} text - null and undefined become an empty string.
+ * @returns {string}
+ */
+export const escapeHTML = (text) => String(text ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
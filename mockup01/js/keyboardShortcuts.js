@@ -2,6 +2,10 @@
 export class KeyboardShortcuts {
     constructor() {
         this.shortcuts = new Map();
+        this.clipboardCombos = new Set(['ctrl+c', 'ctrl+shift+c', 'ctrl+v', 'ctrl+x']);
+        // The panel the user last worked in ('library' or 'parameters');
+        // the clipboard keys act on its selection
+        this.clipboardContext = 'library';
         this.init();
     }
 
@@ -21,6 +25,7 @@ export class KeyboardShortcuts {
         this.register('ctrl+z', () => this.undo(), 'Undo');
         this.register('ctrl+y', () => this.redo(), 'Redo');
         this.register('ctrl+c', () => this.copy(), 'Copy');
+        this.register('ctrl+shift+c', () => this.copyAsExpression(), 'Copy Parameter as Expression');
         this.register('ctrl+v', () => this.paste(), 'Paste');
         this.register('ctrl+x', () => this.cut(), 'Cut');
         this.register('ctrl+f', () => this.find(), 'Find');
@@ -29,6 +34,7 @@ export class KeyboardShortcuts {
         this.register('f1', () => this.togglePanel('library'), 'Toggle Library');
         this.register('f2', () => this.togglePanel('timeline'), 'Toggle Timeline');
         this.register('f3', () => this.togglePanel('parameters'), 'Toggle Parameters');
+        this.register('f4', () => this.toggleProblems(), 'Toggle Problems');
         
         // Playback
         this.register('space', () => this.togglePlayback(), 'Play/Pause');
@@ -41,6 +47,7 @@ export class KeyboardShortcuts {
         this.register('alt+1', () => this.switchTab('parameters'), 'Parameters Tab');
         this.register('alt+2', () => this.switchTab('curves'), 'Curves Tab');
         this.register('alt+3', () => this.switchTab('expressions'), 'Expressions Tab');
+        this.register('alt+4', () => this.switchTab('reference'), 'Parameter Reference Tab');
     }
 
     register(combo, action, description) {
@@ -48,9 +55,15 @@ export class KeyboardShortcuts {
     }
 
     setupListener() {
+        document.addEventListener('mousedown', (e) => this.updateClipboardContext(e.target), true);
+        document.addEventListener('focusin', (e) => this.updateClipboardContext(e.target));
+
         document.addEventListener('keydown', (e) => {
             const combo = this.getCombo(e);
             const shortcut = this.shortcuts.get(combo);
+
+            // Leave text copy/paste alone while typing in a field
+            if (this.clipboardCombos.has(combo) && this.isEditable(e.target)) return;
             
             if (shortcut) {
                 e.preventDefault();
@@ -59,6 +72,20 @@ export class KeyboardShortcuts {
         });
     }
 
+    updateClipboardContext(target) {
+        if (!(target instanceof HTMLElement)) return;
+        if (target.closest('#parameters-tab')) {
+            this.clipboardContext = 'parameters';
+        } else if (target.closest('#library-panel')) {
+            this.clipboardContext = 'library';
+        }
+    }
+
+    isEditable(target) {
+        return target instanceof HTMLElement &&
+            (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
     getCombo(e) {
         const parts = [];
         
@@ -95,16 +122,37 @@ export class KeyboardShortcuts {
         document.dispatchEvent(new CustomEvent('menuAction', { detail: 'redo' }));
     }
 
+    // Clipboard keys copy and paste the selected parameter's value in the
+    // parameter panel, and the selected effects in the library tree
     copy() {
-        document.dispatchEvent(new CustomEvent('menuAction', { detail: 'copy' }));
+        if (this.clipboardContext === 'parameters') {
+            this.parameterClipboard('copy');
+        } else {
+            document.dispatchEvent(new CustomEvent('menuAction', { detail: 'copy' }));
+        }
+    }
+
+    copyAsExpression() {
+        if (this.clipboardContext === 'parameters') this.parameterClipboard('copyexpression');
     }
 
     paste() {
-        document.dispatchEvent(new CustomEvent('menuAction', { detail: 'paste' }));
+        if (this.clipboardContext === 'parameters') {
+            this.parameterClipboard('paste');
+        } else {
+            document.dispatchEvent(new CustomEvent('menuAction', { detail: 'paste' }));
+        }
     }
 
     cut() {
-        document.dispatchEvent(new CustomEvent('menuAction', { detail: 'cut' }));
+        // Parameters can't be cut
+        if (this.clipboardContext === 'library') {
+            document.dispatchEvent(new CustomEvent('menuAction', { detail: 'cut' }));
+        }
+    }
+
+    parameterClipboard(action) {
+        document.dispatchEvent(new CustomEvent('parameterClipboard', { detail: action }));
     }
 
     find() {
@@ -112,6 +160,10 @@ export class KeyboardShortcuts {
         searchInput?.focus();
     }
 
+    toggleProblems() {
+        document.dispatchEvent(new CustomEvent('menuAction', { detail: 'problems' }));
+    }
+
     togglePanel(panelName) {
         console.log('Toggle panel:', panelName);
         // Would toggle panel visibility
@@ -1,11 +1,17 @@
 // Library Manager - Handles library tree and effect selection
 // *** UPDATED to support nested child effects and hierarchy events ***
+
+import { generateGUID } from './guid.js';
+import { escapeHTML } from './html.js';
+
 export class LibraryManager {
     constructor() {
         this.container = document.getElementById('library-content');
         this.searchInput = document.getElementById('library-search');
         this.libraries = [];
         this.selectedItem = null;
+        this.selectedData = null; // The library, folder or effect object behind selectedItem
+        this.itemElements = new Map(); // Data item -> { element, rootEffect } for the rendered tree
         this.draggedItem = null;
         this.searchTerm = '';
     }
@@ -58,14 +64,32 @@ export class LibraryManager {
 
     loadLibraries(libraries) {
         this.libraries = libraries;
+        this.libraries.forEach(library => this.assignGUIDs(library.items || []));
         this.render();
     }
 
+    /**
+     * Gives every effect that doesn't have one a GUID. Effects keep their
+     * GUID from then on (through rename, reorder and export).
+     * @param {Array<object>} items - Library items to walk recursively.
+     */
+    assignGUIDs(items) {
+        items.forEach(item => {
+            if (item.type === 'effect' && !item.guid) {
+                item.guid = generateGUID();
+            }
+            if (item.items) {
+                this.assignGUIDs(item.items);
+            }
+        });
+    }
+
     render() {
         if (!this.container) return;
 
         const tree = document.createElement('div');
         tree.className = 'library-tree';
+        this.itemElements.clear();
 
         this.libraries.forEach(library => {
             tree.appendChild(this.createLibraryNode(library));
@@ -73,6 +97,12 @@ export class LibraryManager {
 
         this.container.innerHTML = '';
         this.container.appendChild(tree);
+
+        // Keep the selection highlighted if the selected item survived the re-render
+        const selected = this.itemElements.get(this.selectedData);
+        this.selectedItem = selected ? selected.element : null;
+        this.selectedItem?.classList.add('selected');
+        if (!selected) this.selectedData = null;
     }
 
     createLibraryNode(library) {
@@ -84,7 +114,7 @@ export class LibraryManager {
         header.draggable = false;
         header.innerHTML = `
             <span class="tree-icon">📦</span>
-            <span class="tree-name" contenteditable="false">${library.name}</span>
+            <span class="tree-name" contenteditable="false">${escapeHTML(library.name)}</span>
             <div class="tree-controls">
                 <button class="tree-control-btn" title="Pin Library">📌</button>
                 <button class="tree-control-btn" title="Refresh Library">🔄</button>
@@ -97,9 +127,13 @@ export class LibraryManager {
         const nameSpan = header.querySelector('.tree-name');
         renameBtn?.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.enableRename(nameSpan);
+            this.enableRename(nameSpan, library);
         });
 
+        // Selecting a library makes it the target for pasted effects
+        header.addEventListener('click', () => this.selectContainer(header, library));
+        this.itemElements.set(library, { element: header, rootEffect: null });
+
         node.appendChild(header);
 
         // Library items
@@ -130,7 +164,7 @@ export class LibraryManager {
             
             folder.innerHTML = `
                 <span class="tree-icon">📁</span>
-                <span class="tree-name" contenteditable="false">${item.name}</span>
+                <span class="tree-name" contenteditable="false">${escapeHTML(item.name)}</span>
                 <div class="tree-controls">
                     <button class="tree-control-btn expand-btn" title="Expand/Collapse">▼</button>
                     <button class="tree-control-btn rename-btn" title="Rename (F2)">✏️</button>
@@ -164,8 +198,14 @@ export class LibraryManager {
             const nameSpan = folder.querySelector('.tree-name');
             renameBtn?.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.enableRename(nameSpan);
+                this.enableRename(nameSpan, item);
+            });
+
+            folder.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.selectContainer(folder, item);
             });
+            this.itemElements.set(item, { element: folder, rootEffect: null });
 
             node.appendChild(folder);
             node.appendChild(childrenContainer);
@@ -193,7 +233,7 @@ export class LibraryManager {
             effect.innerHTML = `
                 ${expandBtnHtml}
                 <span class="tree-icon">✨</span>
-                <span class="tree-name" contenteditable="false">${item.name}</span>
+                <span class="tree-name" contenteditable="false">${escapeHTML(item.name)}</span>
                 <div class="tree-controls">
                     <button class="tree-control-btn lock-btn" title="Lock Effect">${item.isLocked ? '🔒' : '🔓'}</button>
                     <button class="tree-control-btn visibility-btn" title="Show/Hide">${item.isVisible === false ? '👁️‍🗨️' : '👁️'}</button>
@@ -206,13 +246,13 @@ export class LibraryManager {
             const lockBtn = effect.querySelector('.lock-btn');
             lockBtn?.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.toggleLock(effect, lockBtn);
+                this.toggleLock(effect, lockBtn, item);
             });
 
             const visBtn = effect.querySelector('.visibility-btn');
             visBtn?.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.toggleVisibility(effect, visBtn);
+                this.toggleVisibility(effect, visBtn, item);
             });
 
             const soloBtn = effect.querySelector('.solo-btn');
@@ -226,7 +266,7 @@ export class LibraryManager {
             const nameSpan = effect.querySelector('.tree-name');
             renameBtn?.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.enableRename(nameSpan);
+                this.enableRename(nameSpan, item);
             });
 
             // Setup drag and drop
@@ -237,6 +277,7 @@ export class LibraryManager {
                 e.stopPropagation();
                 this.selectEffect(effect, item, currentRoot);
             });
+            this.itemElements.set(item, { element: effect, rootEffect: currentRoot });
 
             node.appendChild(effect);
 
@@ -266,7 +307,7 @@ export class LibraryManager {
     }
 
 
-    enableRename(nameSpan) {
+    enableRename(nameSpan, item) {
         const originalName = nameSpan.textContent;
         
         nameSpan.contentEditable = 'true';
@@ -287,9 +328,15 @@ export class LibraryManager {
                 nameSpan.textContent = originalName;
             } else {
                 console.log('Renamed:', originalName, '->', newName);
-                // Note: This only renames in UI. We'd need to update the data model.
-                // For this simulation, we'll update the dataset name
                 nameSpan.closest('.tree-item').dataset.name = newName;
+                
+                // Update the data model; the item keeps its GUID
+                if (item && item.name !== newName) {
+                    item.name = newName;
+                    document.dispatchEvent(new CustomEvent('itemRenamed', {
+                        detail: { item: item, oldName: originalName, newName: newName }
+                    }));
+                }
                 this.showToast(`Renamed to: ${newName}`);
             }
         };
@@ -391,9 +438,10 @@ export class LibraryManager {
         console.log('Reordered items');
     }
 
-    toggleLock(element, button) {
+    toggleLock(element, button, item) {
         element.classList.toggle('locked');
         const isLocked = element.classList.contains('locked');
+        if (item) item.isLocked = isLocked;
         button.textContent = isLocked ? '🔒' : '🔓';
         this.showToast(isLocked ? 'Locked' : 'Unlocked');
         
@@ -406,9 +454,10 @@ export class LibraryManager {
         }));
     }
 
-    toggleVisibility(element, button) {
+    toggleVisibility(element, button, item) {
         element.classList.toggle('hidden');
         const isHidden = element.classList.contains('hidden');
+        if (item) item.isVisible = !isHidden;
         button.textContent = isHidden ? '👁️‍🗨️' : '👁️';
         button.style.opacity = isHidden ? '0.5' : '1';
         this.showToast(isHidden ? 'Hidden' : 'Visible');
@@ -451,6 +500,7 @@ export class LibraryManager {
         // Select new item
         element.classList.add('selected');
         this.selectedItem = element;
+        this.selectedData = effectData;
 
         // Dispatch event with effect data including params
         // *** NEW: Pass both the clicked effect and its root ***
@@ -463,12 +513,128 @@ export class LibraryManager {
         document.dispatchEvent(event);
     }
 
+    /**
+     * Selects an item from the data model, expanding collapsed parents and
+     * scrolling it into view.
+     * @returns {boolean} True if the item is in the rendered tree.
+     */
+    selectItem(item) {
+        const entry = this.itemElements.get(item);
+        if (!entry) return false;
+
+        let parent = entry.element.parentElement;
+        while (parent && parent !== this.container) {
+            if (parent.classList.contains('tree-children') && parent.classList.contains('collapsed')) {
+                parent.classList.remove('collapsed');
+                const expandBtn = parent.previousElementSibling?.querySelector('.expand-btn');
+                if (expandBtn) expandBtn.textContent = '▼';
+            }
+            parent = parent.parentElement;
+        }
+        entry.element.scrollIntoView?.({ block: 'nearest' });
+
+        if (item.type === 'effect') {
+            this.selectEffect(entry.element, item, entry.rootEffect || item);
+        } else {
+            this.selectContainer(entry.element, item);
+        }
+        return true;
+    }
+
+    /**
+     * Selects a library or folder. Unlike effects, this doesn't change what
+     * the editor panels show; it only sets where pasted effects go.
+     */
+    selectContainer(element, item) {
+        if (this.selectedItem) {
+            this.selectedItem.classList.remove('selected');
+        }
+        element.classList.add('selected');
+        this.selectedItem = element;
+        this.selectedData = item;
+    }
+
+    /**
+     * Finds the library and the items array that directly contain an item.
+     * @returns {{library: Object, container: Array<Object>}|null}
+     */
+    locateItem(item) {
+        const search = (items, library) => {
+            if (items.includes(item)) return { library, container: items };
+            for (const child of items) {
+                const found = child.items && search(child.items, library);
+                if (found) return found;
+            }
+            return null;
+        };
+
+        for (const library of this.libraries) {
+            const found = search(library.items || [], library);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Where pasted effects go: into the selected folder or library, or next
+     * to the selected effect.
+     * @returns {{library: Object, items: Array<Object>}|null} Null if nothing is selected.
+     */
+    getPasteTarget() {
+        const selected = this.selectedData;
+        if (!selected) return null;
+
+        if (this.libraries.includes(selected)) {
+            return { library: selected, items: selected.items };
+        }
+        const location = this.locateItem(selected);
+        if (!location) return null;
+
+        if (selected.type === 'folder') {
+            selected.items = selected.items || [];
+            return { library: location.library, items: selected.items };
+        }
+        return { library: location.library, items: location.container };
+    }
+
+    /**
+     * Adds items to the tree (e.g. pasted effects) and selects the first one.
+     * @param {Array<Object>} items - The new items.
+     * @param {Array<Object>} container - The items array to add them to.
+     */
+    insertItems(items, container) {
+        container.push(...items);
+        this.assignGUIDs(items);
+        this.render();
+
+        const first = this.itemElements.get(items[0]);
+        if (first && items[0].type === 'effect') {
+            this.selectEffect(first.element, items[0], first.rootEffect || items[0]);
+        }
+    }
+
+    /**
+     * Removes an item (and everything under it) from the tree.
+     * @returns {boolean} True if the item was found.
+     */
+    removeItem(item) {
+        const location = this.locateItem(item);
+        if (!location) return false;
+
+        location.container.splice(location.container.indexOf(item), 1);
+        if (this.selectedData === item) {
+            this.selectedData = null;
+        }
+        this.render();
+        return true;
+    }
+
     showToast(message) {
         const toast = document.createElement('div');
         toast.className = 'toast-notification show';
         toast.innerHTML = `
             <div class="toast-title">Library</div>
-            <div class="toast-message">${message}</div>
+            <div class="toast-message">${escapeHTML(message)}</div>
         `;
         
         document.body.appendChild(toast);
@@ -75,22 +75,29 @@ export class MenuManager {
                 this.showNotification('New Library', 'Creating new library...');
                 break;
             case 'open':
-                this.showNotification('Open Library', 'Opening library browser...');
+                // Don't show notification here - let app handle it
+                console.log('Open action dispatched to app');
                 break;
             case 'save':
                 // Don't show notification here - let app handle it
                 console.log('Save action dispatched to app');
                 break;
             case 'saveas':
-                this.showNotification('Save As', 'Choose location to save...');
+                // Don't show notification here - let app handle it
+                console.log('Save As action dispatched to app');
                 break;
             case 'import':
-                this.showNotification('Import', 'Importing effect...');
+                // Don't show notification here - let app handle it
+                console.log('Import action dispatched to app');
                 break;
             case 'export':
                 // Don't show notification here - let app handle it
                 console.log('Export action dispatched to app');
                 break;
+            case 'batchexport':
+                // Don't show notification here - let app handle it
+                console.log('Batch Export action dispatched to app');
+                break;
             case 'exit':
                 this.showNotification('Exit', 'Goodbye!');
                 break;
@@ -100,14 +107,40 @@ export class MenuManager {
             case 'redo':
                 this.showNotification('Redo', 'Action redone');
                 break;
+            case 'cut':
+            case 'copy':
+            case 'paste':
+                // Don't show notification here - let app handle it
+                console.log('Clipboard action dispatched to app');
+                break;
+            case 'problems':
+                // Don't show notification here - let app handle it
+                console.log('Problems panel toggle dispatched to app');
+                break;
+            case 'statebadges':
+                // Don't show notification here - the parameter panel shows or hides them
+                console.log('State badges toggle dispatched to app');
+                break;
             case 'find':
                 document.getElementById('library-search')?.focus();
                 break;
             case 'checkpoints':
                 document.dispatchEvent(new Event('openCheckpointManager'));
                 break;
+            case 'reloaddefs':
+            case 'watchdefs':
+            case 'convertprofile':
+                // Don't show notification here - let app handle it
+                console.log('Definitions action dispatched to app');
+                break;
+            case 'assetfolder':
+            case 'assetindex':
+                // Don't show notification here - the app opens the file picker
+                console.log('Asset catalog action dispatched to app');
+                break;
             case 'docs':
-                this.showNotification('Documentation', 'Opening documentation...');
+                // Don't show notification here - the app opens the parameter reference
+                console.log('Documentation action dispatched to app');
                 break;
             case 'shortcuts':
                 this.showKeyboardShortcuts();
@@ -0,0 +1,22 @@
+// Over-life curve mapping shared by the editor, the importer and the exporter.
+// The curve editor's curves and colour gradients are stored on the effect
+// under their own names and written out as the Param.OverLife of these parameters.
+
+/** Curve editor curves and the parameter each one modulates over particle life. */
+export const CURVE_PARAMS = {
+    size: 'fSize',
+    opacity: 'fAlpha',
+    velocity: 'fSpeed'
+};
+
+/** Gradient parameters and the parameter whose over-life curve each is written as. */
+export const GRADIENT_PARAMS = {
+    cColorOverLife: 'cColor'
+};
+
+/** Per-key interpolation flags written after time:value in over-life curves. */
+export const INTERPOLATION_CODES = {
+    linear: 'L',
+    bezier: 'B',
+    step: 'S'
+};
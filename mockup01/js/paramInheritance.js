@@ -0,0 +1,167 @@
+// Parameter Inheritance
+// Resolves where an effect's unset parameters come from:
+//   System   - the definition defaults in parameters.xml
+//   Parent   - the parent effect's values (its own inherited values included)
+//   Template - another effect in the library, referenced by GUID
+// Only the values an effect sets itself (its overrides) are stored in
+// effect.params; everything else is resolved through this class.
+
+import { ValueCodec } from './valueCodec.js';
+
+export class ParamInheritance {
+
+    static MODES = ['System', 'Parent', 'Template'];
+    static DEFAULT_MODE = 'System';
+
+    /**
+     * Whether a value matches what the effect would get anyway: the inherited
+     * value if there is one, otherwise the definition's default (within float tolerance).
+     * The exporter leaves such values out.
+     * @param {Object} [inheritedParams] - Values inherited from the parent or template.
+     */
+    static isDefaultValue(definition, value, inheritedParams = {}) {
+        if (inheritedParams[definition.name] !== undefined) {
+            return ValueCodec.equals(definition.type, value, inheritedParams[definition.name]);
+        }
+        if (definition.default === undefined || definition.default === null) return false;
+        return ValueCodec.equals(definition.type, value, ValueCodec.parse(definition.type, definition.default));
+    }
+
+    /**
+     * @param {Array<Object>} items - A library's item tree (folders and effects).
+     */
+    constructor(items = []) {
+        this.parents = new Map(); // Effect -> parent effect (null for top-level effects)
+        this.paths = new Map(); // Effect -> full dotted name, e.g. "Folder.Parent.Child"
+        this.byGuid = new Map();
+        this.index(items, null, '');
+    }
+
+    index(items, parentEffect, pathPrefix) {
+        items.forEach(item => {
+            const path = pathPrefix + item.name;
+            if (item.type === 'effect') {
+                this.parents.set(item, parentEffect);
+                this.paths.set(item, path);
+                if (item.guid) this.byGuid.set(item.guid, item);
+            }
+            this.index(item.items || [], item.type === 'effect' ? item : parentEffect, path + '.');
+        });
+    }
+
+    /**
+     * All indexed effects, in tree order.
+     */
+    getEffects() {
+        return [...this.paths.keys()];
+    }
+
+    getMode(effect) {
+        return ParamInheritance.MODES.includes(effect?.inheritance) ? effect.inheritance : ParamInheritance.DEFAULT_MODE;
+    }
+
+    getParent(effect) {
+        return this.parents.get(effect) || null;
+    }
+
+    getPath(effect) {
+        return this.paths.get(effect) || effect?.name || '';
+    }
+
+    findByPath(path) {
+        return this.getEffects().find(effect => this.paths.get(effect) === path) || null;
+    }
+
+    /**
+     * The effect that unset parameters are inherited from, or null for the
+     * system defaults (also when the parent or template doesn't exist).
+     */
+    getSource(effect) {
+        return this.findSource(effect, this.getMode(effect), effect.template);
+    }
+
+    /**
+     * The source `effect` would have with the given mode and template GUID.
+     */
+    findSource(effect, mode, templateGuid = null) {
+        switch (mode) {
+            case 'Parent':
+                return this.getParent(effect);
+            case 'Template': {
+                const template = this.byGuid.get(templateGuid) || null;
+                return template === effect ? null : template;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Human-readable source, e.g. 'parent "Thruster_Main"'.
+     */
+    describeSource(effect) {
+        const source = this.getSource(effect);
+        if (!source) return 'system defaults';
+        return `${this.getMode(effect) === 'Parent' ? 'parent' : 'template'} "${source.name}"`;
+    }
+
+    /**
+     * Effects that can be used as a template for `effect` without creating a cycle.
+     */
+    getTemplateCandidates(effect) {
+        return this.getEffects().filter(candidate => {
+            const visited = new Set();
+            for (let source = candidate; source && !visited.has(source); source = this.getSource(source)) {
+                if (source === effect) return false;
+                visited.add(source);
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Effective values: inherited values overlaid with the effect's overrides.
+     * Parameters at their system default are absent.
+     * @returns {Object} paramName -> value
+     */
+    resolveParams(effect, visiting = new Set()) {
+        return { ...this.getInheritedParams(effect, visiting), ...(effect.params || {}) };
+    }
+
+    /**
+     * Values the effect would have for parameters it doesn't override.
+     * @returns {Object} paramName -> value
+     */
+    getInheritedParams(effect, visiting = new Set()) {
+        const source = this.getSource(effect);
+        if (!source || visiting.has(source)) return {};
+        visiting.add(effect);
+        return this.resolveParams(source, visiting);
+    }
+
+    /**
+     * Values the effect would inherit after switching to another mode and
+     * template, for previewing the switch before it is made.
+     * @returns {Object} paramName -> value
+     */
+    previewInheritedParams(effect, mode, templateGuid = null) {
+        const source = this.findSource(effect, mode, templateGuid);
+        return source ? this.resolveParams(source, new Set([effect])) : {};
+    }
+
+    /**
+     * Effects (other than `effect`) that take a parameter from `effect`:
+     * its source chain reaches `effect` before any effect overrides the parameter.
+     */
+    getInheritors(effect, paramName) {
+        return this.getEffects().filter(other => {
+            const visited = new Set();
+            for (let current = other; current && !visited.has(current); current = this.getSource(current)) {
+                if (current === effect) return current !== other;
+                if (current.params && current.params[paramName] !== undefined) return false;
+                visited.add(current);
+            }
+            return false;
+        });
+    }
+}
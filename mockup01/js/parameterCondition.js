@@ -0,0 +1,155 @@
+// Parameter Conditions
+// Small expression language for the visibleIf / enabledIf attributes in
+// parameters.xml, e.g.
+//   visibleIf="bContinuous == false"
+//   enabledIf="bZBufferCollision || bCollideStaticObjects"
+//   visibleIf="eFinalCollision != Die &amp;&amp; fCount > 0"
+//
+// Operands are parameter names; a bare name tests the value for truthiness.
+// Comparison literals are parsed with the referenced parameter's type.
+// Supports ==, !=, <, <=, >, >=, !, &&, || and parentheses.
+
+import { ValueCodec } from './valueCodec.js';
+
+const TOKEN = /\s*(\|\||&&|==|!=|<=|>=|[()!<>]|"[^"]*"|'[^']*'|[^\s()!<>=&|"']+)/y;
+
+export class ConditionSyntaxError extends Error {
+    constructor(message, source) {
+        super(`${message} in condition "${source}"`);
+        this.name = 'ConditionSyntaxError';
+    }
+}
+
+export class ParameterCondition {
+    constructor(source, tree) {
+        this.source = source;
+        this.tree = tree;
+    }
+
+    /**
+     * Compiles a condition string.
+     * @param {string} source
+     * @returns {ParameterCondition}
+     * @throws {ConditionSyntaxError}
+     */
+    static parse(source) {
+        const tokens = [];
+        TOKEN.lastIndex = 0;
+        while (TOKEN.lastIndex < source.length) {
+            if (!source.slice(TOKEN.lastIndex).trim()) break;
+            const match = TOKEN.exec(source);
+            if (!match) throw new ConditionSyntaxError('Unexpected character', source);
+            tokens.push(match[1]);
+        }
+
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const expect = (token) => {
+            if (next() !== token) throw new ConditionSyntaxError(`Expected "${token}"`, source);
+        };
+        const operand = (what) => {
+            const token = next();
+            if (token === undefined || /^(\|\||&&|==|!=|<=|>=|[()!<>])$/.test(token)) {
+                throw new ConditionSyntaxError(`Expected ${what}`, source);
+            }
+            return token;
+        };
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() === '||') {
+                next();
+                node = { op: '||', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        const parseAnd = () => {
+            let node = parseUnary();
+            while (peek() === '&&') {
+                next();
+                node = { op: '&&', left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        const parseUnary = () => {
+            if (peek() === '!') {
+                next();
+                return { op: '!', operand: parseUnary() };
+            }
+            if (peek() === '(') {
+                next();
+                const node = parseOr();
+                expect(')');
+                return node;
+            }
+            const name = operand('a parameter name');
+            if (['==', '!=', '<', '<=', '>', '>='].includes(peek())) {
+                const op = next();
+                const literal = operand('a value').replace(/^(["'])(.*)\1$/, '$2');
+                return { op, name, literal };
+            }
+            return { op: 'truthy', name };
+        };
+
+        const tree = parseOr();
+        if (pos < tokens.length) {
+            throw new ConditionSyntaxError(`Unexpected "${tokens[pos]}"`, source);
+        }
+        return new ParameterCondition(source, tree);
+    }
+
+    /**
+     * Names of all parameters the condition reads.
+     * @returns {Set<string>}
+     */
+    get references() {
+        const names = new Set();
+        const visit = (node) => {
+            if (node.name) names.add(node.name);
+            if (node.left) visit(node.left);
+            if (node.right) visit(node.right);
+            if (node.operand) visit(node.operand);
+        };
+        visit(this.tree);
+        return names;
+    }
+
+    /**
+     * Evaluates the condition.
+     * @param {function(string): {definition: Object, value: *}|null} resolve -
+     *   Looks up a referenced parameter; unknown parameters count as false.
+     * @returns {boolean}
+     */
+    evaluate(resolve) {
+        const visit = (node) => {
+            switch (node.op) {
+                case '||': return visit(node.left) || visit(node.right);
+                case '&&': return visit(node.left) && visit(node.right);
+                case '!': return !visit(node.operand);
+            }
+
+            const resolved = resolve(node.name);
+            if (!resolved) return false;
+            const { definition, value } = resolved;
+
+            if (node.op === 'truthy') {
+                if (typeof value === 'string') return value !== '' && value !== 'false' && value !== '0';
+                if (Array.isArray(value)) return value.some(v => v !== 0);
+                return !!value;
+            }
+
+            const literal = ValueCodec.parse(definition.type, node.literal);
+            switch (node.op) {
+                case '==': return ValueCodec.equals(definition.type, value, literal);
+                case '!=': return !ValueCodec.equals(definition.type, value, literal);
+                case '<': return value < literal;
+                case '<=': return value <= literal;
+                case '>': return value > literal;
+                case '>=': return value >= literal;
+            }
+            return false;
+        };
+        return visit(this.tree);
+    }
+}
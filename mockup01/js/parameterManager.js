@@ -5,15 +5,30 @@
 
 import { CryEngineParameterParser } from './cryEngineParameterParser.js';
 import { WidgetFactory } from './WidgetFactory.js';
+import { ValueCodec } from './valueCodec.js';
+import { ParamInheritance } from './paramInheritance.js';
+import { CURVE_PARAMS, GRADIENT_PARAMS } from './overLifeCurves.js';
 
 export class ParameterManager {
-    constructor() {
+
+    static BADGES_KEY = 'vfxEditor.stateBadges';
+
+    /**
+     * @param {CryEngineParameterParser} [parser] - Parameter definitions, shared
+     *   with the rest of the editor.
+     */
+    constructor(parser = new CryEngineParameterParser()) {
         this.container = document.getElementById('parameters-content');
         this.currentEffect = null;
-        this.parser = new CryEngineParameterParser();
+        this.parser = parser;
         this.parameterElements = new Map(); // Stores widget elements by param name
         this.usedParams = new Set(); // Stores set of params used by renderer
         this.isLocked = false; // NEW: Lock state
+        this.inheritance = null; // Inheritance info for the current effect (see loadEffect)
+        // Parameter finder; kept while switching effects
+        this.filter = { query: '', modified: false, expression: false, used: false };
+        this.showBadges = true; // State badges on the rows (View > State Badges)
+        this.problems = []; // Validation problems of the library, from the Problems panel
         
         // Expression system (remains the same)
         this.expressions = new Map();
@@ -24,21 +39,233 @@ export class ParameterManager {
     }
 
     /**
-     * Asynchronously initializes the manager by loading XML definitions.
+     * Initializes the manager. The parser's definitions must already be
+     * loaded (see DefinitionProfiles).
      * @param {Array<string>} usedParamsList - List of param names used by the renderer.
      */
-    async init(usedParamsList = []) {
+    init(usedParamsList = []) {
         console.log('🎛️ Initializing XML-Driven Parameter Manager');
         
         // Store the list of parameters that the renderer simulation uses
         this.usedParams = new Set(usedParamsList);
         console.log(`  Renderer uses ${this.usedParams.size} parameters.`);
         
-        await this.parser.loadDefinitions('parameters.xml');
         this.setupExpressionHandlers(); // Keep expression handlers
+        this.setupInheritanceBar();
+        this.setupFilterBar();
+        this.setBadgesVisible(this.loadBadgesVisible());
+
+        // Validation runs in the Problems panel; mark the rows it reports
+        document.addEventListener('problemsChanged', (e) => {
+            this.problems = e.detail.problems;
+            this.updateParameterStates();
+        });
+
         this.render();
     }
 
+    setupInheritanceBar() {
+        const modeSelect = document.getElementById('inheritance-mode');
+        const templateSelect = document.getElementById('inheritance-template');
+
+        const dispatch = () => {
+            if (!this.currentEffect || this.isLocked) return;
+            document.dispatchEvent(new CustomEvent('inheritanceChanged', {
+                detail: {
+                    effect: this.currentEffect,
+                    mode: modeSelect.value,
+                    template: modeSelect.value === 'Template' ? templateSelect.value || null : null
+                }
+            }));
+        };
+        modeSelect?.addEventListener('change', dispatch);
+        templateSelect?.addEventListener('change', dispatch);
+
+        document.getElementById('particle-system')?.addEventListener('change', (e) => {
+            if (!this.currentEffect || this.isLocked) return;
+            document.dispatchEvent(new CustomEvent('particleSystemChanged', {
+                detail: { effect: this.currentEffect, system: e.target.value }
+            }));
+        });
+        this.renderInheritanceBar();
+    }
+
+    /**
+     * Shows the current effect's inheritance mode and source above the parameters.
+     */
+    renderInheritanceBar() {
+        const bar = document.getElementById('inheritance-bar');
+        if (!bar) return;
+
+        const info = this.inheritance;
+        bar.classList.toggle('active', !!(this.currentEffect && info));
+        if (!this.currentEffect || !info) return;
+
+        const modeSelect = bar.querySelector('#inheritance-mode');
+        const templateSelect = bar.querySelector('#inheritance-template');
+        modeSelect.value = info.mode;
+        modeSelect.querySelector('option[value="Parent"]').disabled = !info.hasParent && info.mode !== 'Parent';
+        modeSelect.querySelector('option[value="Template"]').disabled = info.templates.length === 0 && info.mode !== 'Template';
+        modeSelect.disabled = this.isLocked;
+
+        templateSelect.innerHTML = '';
+        info.templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.guid;
+            option.textContent = template.name;
+            templateSelect.appendChild(option);
+        });
+        templateSelect.value = info.template || '';
+        templateSelect.style.display = info.mode === 'Template' ? '' : 'none';
+        templateSelect.disabled = this.isLocked;
+
+        bar.querySelector('#inheritance-source').textContent =
+            info.mode === 'System' ? '' : `Unset values from ${info.sourceLabel}`;
+
+        const systemSelect = bar.querySelector('#particle-system');
+        systemSelect.value = this.parser.getRenderMode(this.currentEffect);
+        systemSelect.disabled = this.isLocked;
+    }
+
+    setupFilterBar() {
+        const bar = document.getElementById('parameter-filter-bar');
+        const search = document.getElementById('parameter-search');
+        if (!bar || !search) return;
+
+        search.addEventListener('input', () => {
+            this.filter.query = search.value;
+            this.applyFilter();
+        });
+        search.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && search.value) {
+                e.stopPropagation();
+                search.value = '';
+                this.filter.query = '';
+                this.applyFilter();
+            }
+        });
+
+        bar.querySelectorAll('.parameter-filter-toggle').forEach(button => {
+            button.addEventListener('click', () => {
+                const key = button.dataset.filter;
+                this.filter[key] = !this.filter[key];
+                button.classList.toggle('active', this.filter[key]);
+                this.applyFilter();
+            });
+        });
+
+        document.getElementById('parameter-search-btn')?.addEventListener('click', () => {
+            search.focus();
+            search.select();
+        });
+    }
+
+    isFiltering() {
+        const { query, modified, expression, used } = this.filter;
+        return query.trim() !== '' || modified || expression || used;
+    }
+
+    /**
+     * Whether a parameter passes the finder: every search word appears in its
+     * name, label or description, and it meets every switched-on toggle.
+     */
+    matchesFilter(param) {
+        const terms = this.filter.query.toLowerCase().split(/\s+/).filter(Boolean);
+        const text = [param.name, param.label, param.description, ...param.aliases].filter(Boolean).join(' ').toLowerCase();
+        if (!terms.every(term => text.includes(term))) return false;
+
+        if (this.filter.modified && !this.isModifiedFromDefault(param.name)) return false;
+        if (this.filter.expression
+            && !this.expressions.has(param.name)
+            && this.currentEffect?.expressions?.[param.name] === undefined) return false;
+        if (this.filter.used && !this.usedParams.has(param.name)) return false;
+        return true;
+    }
+
+    /**
+     * Whether the current effect's value differs from the definition's
+     * default, set by the effect itself or inherited. Compared the way the
+     * exporter compares values (see ParamInheritance.isDefaultValue).
+     */
+    isModifiedFromDefault(paramName) {
+        const definition = this.parser.getParameter(paramName);
+        const value = this.currentEffect?.params?.[paramName] ?? this.inheritance?.params?.[paramName];
+        return !!definition && value !== undefined && !ParamInheritance.isDefaultValue(definition, value);
+    }
+
+    /**
+     * Whether the current effect overrides a parameter with a value that
+     * differs from the inherited one, or from the default when nothing is
+     * inherited (see ParamInheritance.isDefaultValue).
+     */
+    isOverridden(paramName) {
+        const definition = this.parser.getParameter(paramName);
+        const value = this.currentEffect?.params?.[paramName];
+        return !!definition && value !== undefined
+            && !ParamInheritance.isDefaultValue(definition, value, this.inheritance?.params || {});
+    }
+
+    /**
+     * Hides the rows the finder filters out, and the groups left empty.
+     * Groups with matches are expanded while filtering and collapsed again
+     * once the filter is cleared.
+     */
+    applyFilter() {
+        if (!this.container) return;
+        const filtering = this.isFiltering();
+        let shown = 0;
+        let total = 0;
+
+        this.container.querySelectorAll('.parameter-group').forEach(groupEl => {
+            let groupShown = 0;
+            groupEl.querySelectorAll('.parameter-row').forEach(row => {
+                const param = this.parser.getParameter(row.dataset.paramName);
+                // Rows hidden by a condition or the particle system don't count
+                if (row.classList.contains('unsupported-hidden') || row.classList.contains('condition-hidden')) return;
+                const match = !filtering || (param && this.matchesFilter(param));
+                row.classList.toggle('filter-hidden', !match);
+                total++;
+                if (match) groupShown++;
+            });
+            shown += groupShown;
+
+            groupEl.classList.toggle('filter-hidden', filtering && groupShown === 0);
+            if (filtering && groupShown > 0 && groupEl.classList.contains('collapsed')) {
+                groupEl.classList.remove('collapsed');
+                groupEl.dataset.filterExpanded = 'true';
+            } else if (!filtering && groupEl.dataset.filterExpanded) {
+                groupEl.classList.add('collapsed');
+                delete groupEl.dataset.filterExpanded;
+            }
+        });
+
+        let empty = this.container.querySelector('.parameter-filter-empty');
+        if (filtering && shown === 0 && total > 0) {
+            if (!empty) {
+                empty = document.createElement('div');
+                empty.className = 'parameter-filter-empty';
+                empty.textContent = 'No parameters match the filter.';
+                this.container.appendChild(empty);
+            }
+        } else {
+            empty?.remove();
+        }
+
+        const count = document.getElementById('parameter-filter-count');
+        if (count) count.textContent = filtering ? `${shown} of ${total}` : '';
+    }
+
+    /**
+     * Clears the search and switches every toggle off.
+     */
+    clearFilter() {
+        this.filter = { query: '', modified: false, expression: false, used: false };
+        const search = document.getElementById('parameter-search');
+        if (search) search.value = '';
+        document.querySelectorAll('.parameter-filter-toggle').forEach(button => button.classList.remove('active'));
+        this.applyFilter();
+    }
+
     /**
      * Renders the parameter UI based on the loaded XML definitions.
      */
@@ -65,6 +292,9 @@ export class ParameterManager {
 
             this.container.appendChild(groupEl);
         });
+
+        this.applyConditions();
+        this.updateParameterStates();
     }
 
     /**
@@ -82,11 +312,12 @@ export class ParameterManager {
         header.innerHTML = `
             <span class="parameter-group-toggle">▼</span>
             <span class="parameter-group-title">${group.title}</span>
-            <span class="parameter-group-badge">${group.parameters.length}</span>
+            <span class="parameter-group-badge none">0</span>
         `;
 
         header.addEventListener('click', () => {
             groupEl.classList.toggle('collapsed');
+            delete groupEl.dataset.filterExpanded; // The user decides from now on
         });
 
         const content = document.createElement('div');
@@ -108,24 +339,24 @@ export class ParameterManager {
         paramEl.className = 'parameter-row';
         paramEl.dataset.paramName = param.name; // Use export name as data-attr
 
-        // --- ADDED: Check if parameter is used by the 2D sim ---
-        const isUsed = this.usedParams.has(param.name);
-        const unusedIcon = isUsed ? '' : `
-            <span class="unused-param-icon" title="This parameter is not used by the 2D simulation preview. It will still be exported.">⚠️</span>
-        `;
-        // --- END ADDITION ---
-
         const header = document.createElement('div');
         header.className = 'parameter-header';
         header.innerHTML = `
-            <span class="parameter-label">${param.label}${unusedIcon}</span>
+            <span class="parameter-label">${param.label}</span>
+            <span class="parameter-badges"></span>
             <div class="parameter-controls">
                 <div class="parameter-state default" title="Default"></div>
                 <button class="param-icon-btn reset-btn" title="Reset to Default">↺</button>
                 <button class="param-icon-btn curve-btn" title="Add to Curve">📈</button>
+                ${param.docs ? '<button class="param-icon-btn docs-btn" title="Open Documentation">?</button>' : ''}
                 <button class="param-icon-btn menu-btn" title="More Options">⋮</button>
             </div>
         `;
+        header.querySelector('.parameter-label').title = WidgetFactory.getTooltip(param);
+        header.querySelector('.docs-btn')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            window.open(param.docs, '_blank', 'noopener');
+        });
 
         paramEl.appendChild(header);
 
@@ -135,7 +366,10 @@ export class ParameterManager {
             // This is the onChange callback
             if (this.isLocked) return; // Check lock
             this.handleValueChange(param.name, value);
-        });
+        }, this.parser.canVary(param.name) ? (range) => {
+            if (this.isLocked) return;
+            this.dispatchVariationChange(param.name, range);
+        } : null);
         paramEl.appendChild(widget);
         this.parameterElements.set(param.name, widget);
         // --- End Parameter class logic ---
@@ -163,6 +397,13 @@ export class ParameterManager {
             this.showParamContextMenu(e, param);
         });
 
+        header.querySelector('.parameter-badges').addEventListener('click', (e) => {
+            const badge = e.target.closest('.state-badge.clickable');
+            if (!badge) return;
+            e.stopPropagation();
+            this.onBadgeClick(param, badge.dataset.badge);
+        });
+
         // Reset button
         const resetBtn = header.querySelector('.reset-btn');
         resetBtn?.addEventListener('click', (e) => {
@@ -177,17 +418,28 @@ export class ParameterManager {
 
     /**
      * Loads an effect's saved data into the UI.
+     * @param {Object} effectData - The effect item.
+     * @param {Object} [inheritance] - Where its unset values come from:
+     *   {mode, template, hasParent, sourceLabel, params, templates: [{guid, name}]}
+     *   where `params` holds the inherited values.
      */
-    loadEffect(effectData) {
+    loadEffect(effectData, inheritance = null) {
         // Set lock state based on the effect
         this.setLocked(effectData.isLocked || false);
 
         this.currentEffect = effectData;
+        this.inheritance = inheritance;
         this.render(); // Re-render to ensure all elements are fresh
+        this.renderInheritanceBar();
 
         // Load parameter values from effect
         if (effectData.params) {
             setTimeout(() => { // Timeout to allow DOM to update
+                if (this.currentEffect !== effectData) return; // Another effect was selected meanwhile
+                // Inherited values first, so the effect's own overrides win
+                Object.entries(this.inheritance?.params || {}).forEach(([name, value]) => {
+                    if (effectData.params[name] === undefined) this.setParameterValue(name, value);
+                });
                 Object.entries(effectData.params).forEach(([name, value]) => {
                     // Find the *export name* (key), not the display name
                     const paramDef = this.parser.getParameter(name); 
@@ -204,6 +456,12 @@ export class ParameterManager {
                         }
                     }
                 });
+                Object.entries(effectData.variations || {}).forEach(([name, range]) => {
+                    const paramDef = this.parser.getParameter(name);
+                    if (paramDef) this.setVariationValue(paramDef.name, range);
+                });
+                this.applyConditions();
+                this.updateParameterStates();
                 console.log('✅ Loaded parameters for', effectData.name);
             }, 100);
         }
@@ -214,10 +472,13 @@ export class ParameterManager {
         this.dependents.clear();
         if (effectData.expressions) {
              setTimeout(() => {
+                if (this.currentEffect !== effectData) return; // Another effect was selected meanwhile
+                // Only fills the maps: the saved expressions and values are
+                // left as they are, and nothing is marked as changed
                 Object.entries(effectData.expressions).forEach(([name, expression]) => {
                     const paramDef = this.parser.getParameter(name);
                     if (paramDef) {
-                        this.setExpression(paramDef.name, expression);
+                        this.registerExpression(paramDef.name, expression);
                         this.refreshParameterRow(paramDef.name); // Refresh UI
                     }
                 });
@@ -236,79 +497,206 @@ export class ParameterManager {
         if (!widget) return;
         
         const paramDef = this.parser.getParameter(paramName);
-
-        // Update the appropriate widget
-        switch (paramDef.widget) {
-            case 'slider':
-                const sliderValue = widget.querySelector('.slider-value');
-                const sliderTrack = widget.querySelector('.slider-track');
-                const sliderInput = widget.querySelector('.slider-input');
-                if (sliderValue && sliderTrack && sliderInput) {
-                    const min = parseFloat(sliderInput.dataset.min);
-                    const max = parseFloat(sliderInput.dataset.max);
-                    const step = parseFloat(sliderValue.step);
-                    
-                    value = Math.max(min, Math.min(max, parseFloat(value)));
-                    
-                    sliderValue.value = value.toFixed(step >= 1 ? 0 : 2);
-                    const percentage = ((value - min) / (max - min)) * 100;
-                    sliderTrack.style.width = `${Math.max(0, Math.min(100, percentage))}%`;
-                }
-                break;
-            case 'vector':
-                const vectorInputs = widget.querySelectorAll('.vector-input');
-                if (vectorInputs.length > 0 && Array.isArray(value)) {
-                    vectorInputs.forEach((input, i) => {
-                        if (value[i] !== undefined) input.value = value[i];
-                    });
-                }
-                break;
-            case 'color':
-                const colorValue = widget.querySelector('.color-value');
-                const colorSwatch = widget.querySelector('.color-swatch');
-                const colorPicker = widget.querySelector('.color-picker');
-                if (colorValue) colorValue.value = value;
-                if (colorSwatch) colorSwatch.style.background = value;
-                if (colorPicker) colorPicker.value = value;
-                break;
-            case 'dropdown':
-                const dropdown = widget.querySelector('.dropdown-select');
-                if (dropdown) dropdown.value = value;
-                break;
-            case 'checkbox':
-                const checkbox = widget.querySelector('.checkbox');
-                if (checkbox) checkbox.classList.toggle('checked', !!value);
-                break;
-            case 'text':
-                const textInput = widget.querySelector('.text-input-field');
-                if (textInput) textInput.value = value;
-                break;
-        }
+        // Accept older saved shapes, e.g. {x,y,z} vectors
+        value = ValueCodec.normalize(paramDef.type, value);
+        WidgetFactory.setValue(widget, value);
     }
     
+    /**
+     * Shows a ± random range in a slider's or vector's variation inputs.
+     * @param {string} paramName - The internal name.
+     * @param {number|Array<number>|null} range - null shows no variation.
+     */
+    setVariationValue(paramName, range) {
+        const inputs = this.parameterElements.get(paramName)?.querySelectorAll('.variation-input') || [];
+        inputs.forEach((input, i) => {
+            input.value = (Array.isArray(range) ? range[i] : range) || 0;
+        });
+    }
+
     /**
      * Resets a parameter to its default value from the XML.
      */
     resetParameter(param) {
-        let defaultValue = param.default;
-        
-        // Convert default types from XML string
-        switch (param.type) {
-            case 'float':
-            case 'int':
-                defaultValue = parseFloat(defaultValue);
+        // Removing the override falls back to the inherited value, if any
+        const inherited = this.inheritance?.params?.[param.name];
+        const defaultValue = inherited !== undefined ? inherited : ValueCodec.parse(param.type, param.default);
+
+        this.setParameterValue(param.name, defaultValue);
+        this.clearExpression(param.name);
+        this.dispatchParameterChange(param.name, defaultValue, { cleared: true });
+
+        if (this.currentEffect?.variations?.[param.name] !== undefined) {
+            this.setVariationValue(param.name, null);
+            this.dispatchVariationChange(param.name, null);
+        }
+    }
+
+    /**
+     * Marks a row as overridden, inherited or default.
+     */
+    updateParameterState(paramName) {
+        const row = this.container.querySelector(`[data-param-name="${paramName}"]`);
+        const indicator = row?.querySelector('.parameter-state');
+        if (!indicator) return;
+
+        let state = 'default';
+        let title = 'Default';
+        if (this.currentEffect?.params?.[paramName] !== undefined) {
+            state = 'modified';
+            title = 'Overridden by this effect';
+        } else if (this.inheritance?.params?.[paramName] !== undefined) {
+            state = 'inherited';
+            title = `Inherited from ${this.inheritance.sourceLabel}`;
+        }
+
+        indicator.className = `parameter-state ${state}`;
+        indicator.title = title;
+        row.classList.toggle('inherited', state === 'inherited');
+        const resetBtn = row.querySelector('.reset-btn');
+        if (resetBtn) {
+            resetBtn.title = this.inheritance && this.inheritance.mode !== 'System' ? 'Revert to Inherited' : 'Reset to Default';
+        }
+
+        const badges = row.querySelector('.parameter-badges');
+        if (badges) {
+            badges.replaceChildren(...this.getStateBadges(paramName).map(({ kind, label, title, clickable }) => {
+                const badge = document.createElement('span');
+                badge.className = `state-badge ${kind}${clickable ? ' clickable' : ''}`;
+                badge.dataset.badge = kind;
+                badge.textContent = label;
+                badge.title = title;
+                return badge;
+            }));
+        }
+        this.updateGroupBadge(row.closest('.parameter-group'));
+    }
+
+    updateParameterStates() {
+        this.parameterElements.forEach((widget, name) => this.updateParameterState(name));
+    }
+
+    /**
+     * The badges shown on a parameter's row: overridden, inherited, driven by
+     * an expression, animated by a curve, not simulated by the preview, and
+     * failing validation.
+     * @returns {Array<{kind: string, label: string, title: string, clickable: boolean}>}
+     */
+    getStateBadges(paramName) {
+        const effect = this.currentEffect;
+        const badges = [];
+        const add = (kind, label, title, clickable = false) => badges.push({ kind, label, title, clickable });
+
+        if (this.isOverridden(paramName)) {
+            add('modified', 'Mod', `Changed from the ${this.inheritance && this.inheritance.mode !== 'System' ? 'inherited value' : 'default'} by this effect. Click to revert.`, true);
+        } else if (this.inheritance?.params?.[paramName] !== undefined) {
+            add('inherited', 'Inh', `Inherited from ${this.inheritance.sourceLabel}. Click to override in this effect.`, true);
+        }
+        if (this.expressions.has(paramName) || effect?.expressions?.[paramName] !== undefined) {
+            add('expression', 'ƒx', 'Driven by an expression. Click to edit it.', true);
+        }
+        if (this.isCurveAnimated(paramName)) {
+            add('curve', 'Curve', 'Animated over particle life. Click to open the Curve Editor.', true);
+        }
+        if (!this.usedParams.has(paramName)) {
+            add('unused', 'No 2D', 'Not simulated by the 2D preview. It will still be exported.');
+        }
+        const problems = effect ? this.problems.filter(problem => problem.effect === effect && problem.param === paramName) : [];
+        if (problems.length > 0) {
+            const severity = problems.some(problem => problem.severity === 'error') ? 'error' : 'warning';
+            add(`problem ${severity}`, severity === 'error' ? '❌' : '⚠️', problems.map(problem => problem.message).join('\n'));
+        }
+        return badges;
+    }
+
+    /**
+     * Whether the current effect animates a parameter over particle life:
+     * with a curve from the Curve Editor, or a gradient that is written as
+     * the parameter's over-life curve.
+     */
+    isCurveAnimated(paramName) {
+        const effect = this.currentEffect;
+        if (!effect) return false;
+        const byCurve = Object.entries(CURVE_PARAMS).some(([curve, param]) =>
+            param === paramName && effect.curves?.[curve]?.length > 0);
+        const byGradient = Object.entries(GRADIENT_PARAMS).some(([gradient, param]) =>
+            param === paramName && (effect.params?.[gradient] ?? this.inheritance?.params?.[gradient]) !== undefined);
+        return byCurve || byGradient;
+    }
+
+    onBadgeClick(param, kind) {
+        if (this.isLocked && kind !== 'curve') return;
+        switch (kind) {
+            case 'modified':
+                this.resetParameter(param);
+                break;
+            case 'inherited':
+                // Store the inherited value as this effect's own
+                this.dispatchParameterChange(param.name, this.getParameterValue(param.name));
                 break;
-            case 'bool':
-                defaultValue = (defaultValue === 'true');
+            case 'expression':
+                this.editExpression(param.name);
                 break;
-            case 'vec3':
-                defaultValue = defaultValue.split(',').map(Number);
+            case 'curve':
+                document.querySelector('.tab-btn[data-tab="curves"]')?.click();
                 break;
         }
-        
-        this.setParameterValue(param.name, defaultValue);
-        this.clearExpression(param.name);
-        this.dispatchParameterChange(param.name, defaultValue);
+    }
+
+    /**
+     * Shows how many of a group's parameters the current effect changes.
+     */
+    updateGroupBadge(groupEl) {
+        const badge = groupEl?.querySelector('.parameter-group-badge');
+        if (!badge) return;
+        const names = [...groupEl.querySelectorAll('.parameter-row')].map(row => row.dataset.paramName);
+        const modified = names.filter(name => this.isOverridden(name)).length;
+        badge.textContent = modified;
+        badge.title = `${modified} of ${names.length} parameters changed by this effect`;
+        badge.classList.toggle('none', modified === 0);
+    }
+
+    /**
+     * Shows or hides the state badges on every row.
+     */
+    setBadgesVisible(visible) {
+        this.showBadges = visible;
+        this.container?.classList.toggle('hide-state-badges', !visible);
+        document.querySelector('.menu-option[data-action="statebadges"]')?.classList.toggle('checked', visible);
+        try {
+            localStorage.setItem(ParameterManager.BADGES_KEY, JSON.stringify(visible));
+        } catch (error) {
+            // Storage may be unavailable; the setting then lasts for this session
+        }
+    }
+
+    loadBadgesVisible() {
+        try {
+            return JSON.parse(localStorage.getItem(ParameterManager.BADGES_KEY) ?? 'true') !== false;
+        } catch (error) {
+            return true;
+        }
+    }
+
+    /**
+     * Expands the parameter's group, scrolls its row into view and highlights it.
+     * @param {string} paramName - The export name (e.g. "fParticleLifeTime").
+     */
+    focusParameter(paramName) {
+        const paramDef = this.parser.getParameter(paramName);
+        const row = paramDef && this.container.querySelector(`[data-param-name="${paramDef.name}"]`);
+        if (!row) return false;
+
+        if (row.classList.contains('filter-hidden')) this.clearFilter();
+        row.closest('.parameter-group')?.classList.remove('collapsed');
+        this.container.querySelectorAll('.parameter-row').forEach(r => r.classList.remove('selected', 'problem-focus'));
+        row.classList.add('selected', 'problem-focus');
+        this.selectedParam = paramDef.name;
+
+        row.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+        row.querySelector('input, select')?.focus({ preventScroll: true });
+        setTimeout(() => row.classList.remove('problem-focus'), 2000);
+        return true;
     }
 
     /**
@@ -328,17 +716,12 @@ export class ParameterManager {
     // --- They remain largely unchanged, but now use param.name ---
     
     setupExpressionHandlers() {
-        // Keyboard shortcuts for expressions
-        document.addEventListener('keydown', (e) => {
-            if (e.ctrlKey && e.shiftKey && e.key === 'C') {
-                e.preventDefault();
-                this.copyAsExpression();
-            } else if (e.ctrlKey && e.key === 'c') {
-                e.preventDefault();
-                this.copyAsValue();
-            } else if (e.ctrlKey && e.key === 'v') {
-                e.preventDefault();
-                this.paste();
+        // Ctrl+C, Ctrl+Shift+C and Ctrl+V while working in this panel (see KeyboardShortcuts)
+        document.addEventListener('parameterClipboard', (e) => {
+            switch (e.detail) {
+                case 'copy': this.copyAsValue(); break;
+                case 'copyexpression': this.copyAsExpression(); break;
+                case 'paste': this.paste(); break;
             }
         });
 
@@ -364,7 +747,7 @@ export class ParameterManager {
             return;
         }
 
-        const value = this.getParameterValue(this.selectedParam);
+        const value = this.serializeParameterValue(this.selectedParam);
         this.clipboard = { param: this.selectedParam, value, asExpression: false };
         this.showToast(`📋 Copied ${this.selectedParam}`);
     }
@@ -375,7 +758,7 @@ export class ParameterManager {
             return;
         }
 
-        const value = this.getParameterValue(this.selectedParam);
+        const value = this.serializeParameterValue(this.selectedParam);
         const expression = this.expressions.get(this.selectedParam) || `\${${this.selectedParam}}`;
         
         this.clipboard = { param: this.selectedParam, value, expression, asExpression: true };
@@ -393,11 +776,13 @@ export class ParameterManager {
             // Create reference expression
             const expr = `\${${this.clipboard.param}}`;
             this.setExpression(this.selectedParam, expr);
+            this.dispatchExpressionChange(this.selectedParam, expr);
             this.showToast(`🔗 Pasted expression to ${this.selectedParam}`);
         } else {
             // Paste value
+            // Read back what the target widget shows, e.g. clamped to its range
             this.setParameterValue(this.selectedParam, this.clipboard.value);
-            this.dispatchParameterChange(this.selectedParam, this.clipboard.value); // Manually dispatch
+            this.dispatchParameterChange(this.selectedParam, this.getParameterValue(this.selectedParam)); // Manually dispatch
             this.showToast(`📋 Pasted value to ${this.selectedParam}`);
         }
 
@@ -422,6 +807,7 @@ export class ParameterManager {
             const expr = `\${${this.dragSource.param}}`;
             
             this.setExpression(targetParam, expr);
+            this.dispatchExpressionChange(targetParam, expr);
             this.refreshParameterRow(targetParam);
             
             this.showToast(`🔗 ${targetParam} → ${this.dragSource.param}`);
@@ -433,6 +819,18 @@ export class ParameterManager {
 
     setExpression(paramName, expression) {
         if (this.isLocked) return; // Check lock
+        this.registerExpression(paramName, expression);
+        this.storeExpression(paramName);
+
+        // Evaluate and update
+        this.evaluateExpression(paramName);
+    }
+
+    /**
+     * Adds an expression to the expression, reference and dependent maps,
+     * without storing or evaluating it.
+     */
+    registerExpression(paramName, expression) {
         // Clear old references
         const oldRefs = this.references.get(paramName);
         if (oldRefs) {
@@ -458,9 +856,6 @@ export class ParameterManager {
             }
             this.dependents.get(ref).add(paramName);
         });
-
-        // Evaluate and update
-        this.evaluateExpression(paramName);
     }
 
     extractReferences(expression) {
@@ -493,11 +888,7 @@ export class ParameterManager {
 
         try {
             // Get all parameter values
-            const values = {};
-            this.container.querySelectorAll('.parameter-row').forEach(row => {
-                const name = row.dataset.paramName;
-                values[name] = this.getParameterValue(name);
-            });
+            const values = this.getAllParameterValues();
 
             // Replace references
             let evaluated = expression;
@@ -531,29 +922,58 @@ export class ParameterManager {
         }
     }
 
+    /**
+     * Reads every parameter's current value from the UI.
+     * @returns {Object} paramName -> value
+     */
+    getAllParameterValues() {
+        const values = {};
+        this.parameterElements.forEach((widget, name) => {
+            values[name] = this.getParameterValue(name);
+        });
+        return values;
+    }
+
+    /**
+     * Hides or disables rows whose visibleIf / enabledIf condition
+     * no longer holds for the current values.
+     */
+    applyConditions() {
+        const values = this.getAllParameterValues();
+        const renderMode = this.parser.getRenderMode(this.currentEffect);
+
+        this.parameterElements.forEach((widget, name) => {
+            const row = widget.closest('.parameter-row');
+            const param = this.parser.getParameter(name);
+            if (!row || !param) return;
+
+            row.classList.toggle('unsupported-hidden', !this.parser.isParameterSupported(name, renderMode));
+            if (!param.visibleIf && !param.enabledIf) return;
+
+            const visible = this.parser.isParameterVisible(name, values);
+            const enabled = this.parser.isParameterEnabled(name, values);
+
+            row.classList.toggle('condition-hidden', !visible);
+            row.classList.toggle('condition-disabled', !enabled);
+            row.title = enabled ? '' : `Disabled: requires ${param.enabledIf.source}`;
+            WidgetFactory.setDisabled(widget, !enabled);
+        });
+
+        // Rows shown or hidden by a condition change the filter's matches
+        this.applyFilter();
+    }
+
     getParameterValue(paramName) {
         const widget = this.parameterElements.get(paramName);
-        if (!widget) return 0;
-        
-        const paramDef = this.parser.getParameter(paramName);
+        return widget ? WidgetFactory.getValue(widget) : 0;
+    }
 
-        // Find and update the appropriate widget
-        switch (paramDef.widget) {
-            case 'slider':
-                return parseFloat(widget.querySelector('.slider-value').value) || 0;
-            case 'vector':
-                const inputs = widget.querySelectorAll('.vector-input');
-                return Array.from(inputs).map(i => parseFloat(i.value) || 0);
-            case 'color':
-                return widget.querySelector('.color-value').value;
-            case 'dropdown':
-                return widget.querySelector('.dropdown-select').value;
-            case 'checkbox':
-                return widget.querySelector('.checkbox').classList.contains('checked');
-            case 'text':
-                return widget.querySelector('.text-input-field').value;
-        }
-        return 0;
+    /**
+     * A JSON-safe copy of a parameter's value, for the clipboard.
+     */
+    serializeParameterValue(paramName) {
+        const widget = this.parameterElements.get(paramName);
+        return widget ? WidgetFactory.serialize(widget) : null;
     }
 
     showParamContextMenu(e, param) {
@@ -577,6 +997,8 @@ export class ParameterManager {
             ${hasExpression ? '<div class="context-menu-item" data-action="clear-expr">🗑️ Clear Expression</div>' : ''}
             <div class="context-menu-separator"></div>
             <div class="context-menu-item" data-action="reset">↺ Reset to Default</div>
+            <div class="context-menu-separator"></div>
+            <div class="context-menu-item" data-action="reference">📖 Parameter Reference</div>
         `;
 
         document.body.appendChild(menu);
@@ -592,6 +1014,9 @@ export class ParameterManager {
                     case 'edit-expr': this.editExpression(param.name); break;
                     case 'clear-expr': this.clearExpression(param.name); break;
                     case 'reset': this.resetParameter(param); break;
+                    case 'reference':
+                        document.dispatchEvent(new CustomEvent('showParameterReference', { detail: { name: param.name } }));
+                        break;
                 }
             }
             menu.remove();
@@ -608,7 +1033,8 @@ export class ParameterManager {
 
     clearExpression(paramName) {
         if (this.isLocked) return; // Check lock
-        this.expressions.delete(paramName);
+        const hadExpression = this.expressions.delete(paramName);
+        this.storeExpression(paramName);
         const refs = this.references.get(paramName);
         if (refs) {
             refs.forEach(ref => {
@@ -618,6 +1044,7 @@ export class ParameterManager {
             this.references.delete(paramName);
         }
         this.refreshParameterRow(paramName);
+        if (hadExpression) this.dispatchExpressionChange(paramName, null);
         this.showToast(`Cleared expression from ${paramName}`);
     }
 
@@ -628,6 +1055,7 @@ export class ParameterManager {
         
         if (newExpr !== null && newExpr.trim()) {
             this.setExpression(paramName, newExpr.trim());
+            this.dispatchExpressionChange(paramName, newExpr.trim());
             this.refreshParameterRow(paramName);
         }
     }
@@ -647,19 +1075,14 @@ export class ParameterManager {
             const paramDef = this.parser.getParameter(paramName);
             const name = paramDef ? paramDef.label : paramName; // Use display name
             
-            // --- ADDED: Check if parameter is used by the 2D sim ---
-            const isUsed = this.usedParams.has(paramName);
-            const unusedIcon = isUsed ? '' : `
-                <span class="unused-param-icon" title="This parameter is not used by the 2D simulation preview. It will still be exported.">⚠️</span>
-            `;
-            // --- END ADDITION ---
-
+            // Expression and preview state are shown as badges (see getStateBadges)
             label.innerHTML = `
-                ${name}${unusedIcon}
-                ${hasExpression ? '<span class="expr-indicator" title="Has expression">ƒx</span>' : ''}
+                ${name}
                 ${isReferenced ? '<span class="ref-indicator" title="Referenced">🔗</span>' : ''}
             `;
         }
+        this.updateParameterState(paramName);
+        if (this.filter.expression) this.applyFilter();
     }
 
     handleValueChange(paramName, value) {
@@ -679,18 +1102,57 @@ export class ParameterManager {
 
     updateFromCurve(curveData) {
         console.log('Updating parameters from curve:', curveData);
+        const paramName = CURVE_PARAMS[curveData.curve.toLowerCase()];
+        if (paramName) this.updateParameterState(paramName);
     }
     
-    dispatchParameterChange(name, value) {
+    /**
+     * @param {string} name - The internal name.
+     * @param {*} value - The value now shown.
+     * @param {{cleared: boolean}} [options] - `cleared` removes the effect's
+     *   override instead of storing the value (the value is inherited or default).
+     */
+    dispatchParameterChange(name, value, { cleared = false } = {}) {
+        // Other rows may depend on this value
+        this.applyConditions();
+
         // ** UPDATED: Send the internal name (e.g. fParticleLifeTime) **
         console.log('📤 Parameter changed:', name, '=', value);
         document.dispatchEvent(new CustomEvent('parameterChanged', {
             detail: { 
                 name: name, // Internal name
                 value: value,
+                cleared: cleared,
                 label: this.parser.getParameter(name)?.label || name // Display name (for info)
             }
         }));
+
+        // The app has stored (or removed) the value by now
+        this.updateParameterState(name);
+        if (this.filter.modified) this.applyFilter();
+    }
+
+    /**
+     * Tells the app the user set or cleared an expression (the effect's
+     * expressions are already updated, see storeExpression).
+     * @param {string} name - The internal name.
+     * @param {string|null} expression - null when cleared.
+     */
+    dispatchExpressionChange(name, expression) {
+        document.dispatchEvent(new CustomEvent('expressionChanged', {
+            detail: { name, expression }
+        }));
+    }
+
+    /**
+     * @param {string} name - The internal name.
+     * @param {number|Array<number>|null} range - The new ± random range; null or zero removes it.
+     */
+    dispatchVariationChange(name, range) {
+        console.log('📤 Variation changed:', name, '=', range);
+        document.dispatchEvent(new CustomEvent('parameterVariationChanged', {
+            detail: { name, range }
+        }));
     }
 
     showToast(message, type = 'info') {
@@ -710,6 +1172,23 @@ export class ParameterManager {
         }, 2000);
     }
 
+    /**
+     * Writes one parameter's expression (or its removal) back to the effect
+     * being edited so it is saved and exported with the effect. Expressions
+     * for parameters the active profile doesn't define are kept.
+     * @param {string} paramName - The internal name.
+     */
+    storeExpression(paramName) {
+        if (!this.currentEffect) return;
+        const expressions = { ...this.currentEffect.expressions };
+        // Also drop the expression saved under an old name (alias)
+        Object.keys(expressions).forEach(name => {
+            if (this.parser.getParameter(name)?.name === paramName) delete expressions[name];
+        });
+        if (this.expressions.has(paramName)) expressions[paramName] = this.expressions.get(paramName);
+        this.currentEffect.expressions = expressions;
+    }
+
     /**
      * Exports all currently defined expressions.
      * @returns {Object} An object mapping paramName -> expressionString
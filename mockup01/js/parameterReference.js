@@ -0,0 +1,115 @@
+// Parameter Reference - Searchable documentation for every parameter,
+// generated from the groups in parameters.xml: description, type, default,
+// range, units, conditions and links to the engine documentation.
+
+import { WidgetFactory } from './WidgetFactory.js';
+import { escapeHTML } from './html.js';
+
+
+export class ParameterReference {
+
+    constructor() {
+        this.app = null;
+        this.parser = null;
+        this.panel = document.getElementById('reference-tab');
+        this.list = document.getElementById('reference-list');
+        this.searchInput = document.getElementById('reference-search');
+    }
+
+    /**
+     * @param {VFXEditor} app
+     * @param {CryEngineParameterParser} parser - A parser with definitions loaded.
+     */
+    init(app, parser) {
+        console.log('📖 Initializing Parameter Reference');
+        this.app = app;
+        this.parser = parser;
+        if (!this.panel) return;
+
+        this.searchInput?.addEventListener('input', () => this.render());
+        this.list?.addEventListener('click', (e) => {
+            const button = e.target.closest('.reference-show-btn');
+            if (button) this.revealParameter(button.dataset.param);
+        });
+        this.render();
+    }
+
+    /**
+     * Switches to the reference tab, optionally searching for one parameter.
+     * @param {string} [paramName]
+     */
+    show(paramName = null) {
+        document.querySelector('.tab-btn[data-tab="reference"]')?.click();
+        if (paramName && this.searchInput) {
+            this.searchInput.value = this.parser.getParameter(paramName)?.name || paramName;
+        }
+        this.render();
+        this.searchInput?.focus();
+    }
+
+    /**
+     * Whether a parameter (or its group) matches every word of the search.
+     */
+    matches(param, group, terms) {
+        const text = [
+            group.title, param.name, param.label, param.description, param.units,
+            ...param.aliases, ...param.deprecatedNames
+        ].join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+    }
+
+    render() {
+        if (!this.list || !this.parser) return;
+
+        const terms = (this.searchInput?.value || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const sections = this.parser.getGroups().map(group => {
+            const params = group.parameters.filter(param => this.matches(param, group, terms));
+            if (params.length === 0) return '';
+            return `
+                <div class="reference-group">
+                    <div class="reference-group-title">${escapeHTML(group.title)}</div>
+                    ${params.map(param => this.renderEntry(param)).join('')}
+                </div>
+            `;
+        }).join('');
+
+        this.list.innerHTML = sections || '<div class="reference-empty">No parameters match the search.</div>';
+    }
+
+    renderEntry(param) {
+        const details = [
+            ['Type', param.type],
+            ['Default', param.default !== null ? `${param.default}${param.units ? ` ${WidgetFactory.formatUnits(param.units)}` : ''}` : null],
+            ['Range', param.min !== null || param.max !== null ? `${param.min ?? '−∞'} to ${param.max ?? '∞'}` : null],
+            ['Units', param.units || null],
+            ['Options', param.options.length > 0 ? param.options.join(', ') : null],
+            ['Old names', [...param.aliases, ...param.deprecatedNames].join(', ') || null],
+            ['Particles', param.renderModes.length > 0 ? `${param.renderModes.join(', ')} only` : null],
+            ['Platforms', param.platforms.length > 0 ? param.platforms.join(', ') : null],
+            ['Shown if', param.visibleIf?.source || null],
+            ['Enabled if', param.enabledIf?.source || null]
+        ].filter(([, value]) => value !== null);
+
+        return `
+            <div class="reference-entry" data-param="${escapeHTML(param.name)}">
+                <div class="reference-entry-header">
+                    <span class="reference-label">${escapeHTML(param.label || param.name)}</span>
+                    <code class="reference-name">${escapeHTML(param.name)}</code>
+                </div>
+                <div class="reference-description">${escapeHTML(param.description || 'No description yet.')}</div>
+                <dl class="reference-details">
+                    ${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHTML(value)}</dd>`).join('')}
+                </dl>
+                <div class="reference-actions">
+                    <button class="checkpoint-action-btn reference-show-btn" data-param="${escapeHTML(param.name)}">Show in Parameters</button>
+                    ${param.docs ? `<a class="reference-docs-link" href="${escapeHTML(param.docs)}" target="_blank" rel="noopener">Documentation ↗</a>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    revealParameter(paramName) {
+        document.querySelector('.tab-btn[data-tab="parameters"]')?.click();
+        this.app.parameterManager.focusParameter(paramName);
+    }
+}
@@ -1,9 +1,11 @@
 // Enhanced Particle Renderer - Fully reactive to parameters, curves, and timeline
 // ***** UPDATED to simulate *multiple* effects from a hierarchy *****
 
+import { ValueCodec } from './valueCodec.js';
+
 // --- Helper class for managing a single effect's simulation state ---
 class EffectInstance {
-    constructor(effectData, defaultCurves) {
+    constructor(effectData, defaultCurves, params = effectData.params) {
         this.id = effectData.name;
         this.effectData = effectData;
         this.particles = [];
@@ -11,13 +13,13 @@ class EffectInstance {
         this.spawnAccumulator = 0;
         
         // Combine defaults, default curves, and effect-specific data
-        this.effectParams = { ...ParticleRenderer.DEFAULT_PARAMS, ...effectData.params };
+        // `params` includes values inherited from a parent or template effect
+        this.effectParams = { ...ParticleRenderer.DEFAULT_PARAMS, ...params };
         this.curves = { ...defaultCurves, ...effectData.curves };
+        this.variations = { ...effectData.variations }; // ± random ranges per parameter
         
         // Handle color conversion
-        if (typeof this.effectParams.cColor === 'string') {
-            this.setColorFromHex(this.effectParams.cColor);
-        }
+        this.setColorFromHex(this.effectParams.cColor);
 
         // Timeline properties
         this.startTime = effectData.timeline?.start || 0;
@@ -35,21 +37,8 @@ class EffectInstance {
     }
 
     setColorFromHex(hex) {
-        if (typeof hex !== 'string' || !hex.startsWith('#')) {
-             if (typeof hex === 'object' && hex.r !== undefined) {
-                 this.effectParams['cColor'] = { ...hex, a: 1 };
-             }
-             return;
-        }
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        if (result) {
-            this.effectParams['cColor'] = {
-                r: parseInt(result[1], 16),
-                g: parseInt(result[2], 16),
-                b: parseInt(result[3], 16),
-                a: 1
-            };
-        }
+        // Accepts any shape the value codec understands ("#rrggbb", "r,g,b" or {r,g,b})
+        this.effectParams['cColor'] = { ...ValueCodec.colorToRGB(hex), a: 1 };
     }
 
     /**
@@ -91,6 +80,7 @@ class EffectInstance {
 
         // Get physics values once
         const gravity = (this.effectParams['fGravityScale'] || 0) * 9.8;
+        const acceleration = ValueCodec.normalize('vec3', this.effectParams['vAcceleration']);
         const drag = this.effectParams['fDrag'] || this.effectParams['fAirResistance'] || 0;
         const turbulence = this.effectParams['fTurbulence'] || 0;
         const useCollisions = this.effectParams['bZBufferCollision'] || this.effectParams['bCollideStaticObjects'] || this.effectParams['bCollideTerrainOnly'] || false;
@@ -109,12 +99,15 @@ class EffectInstance {
             }
             
             // Apply curves
-            p.size = this.effectParams['fSize'] * this.evaluateCurve(this.curves.size, lifeRatio);
-            p.opacity = this.effectParams['fAlpha'] * this.evaluateCurve(this.curves.opacity, lifeRatio);
+            p.size = Math.max(0, this.effectParams['fSize'] + p.sizeOffset) * this.evaluateCurve(this.curves.size, lifeRatio);
+            p.opacity = Math.max(0, this.effectParams['fAlpha'] + p.alphaOffset) * this.evaluateCurve(this.curves.opacity, lifeRatio);
+            this.applyColorOverLife(p, lifeRatio);
             const velocityMult = this.evaluateCurve(this.curves.velocity, lifeRatio);
 
             // Apply physics
             p.vy += gravity * deltaTime * 10;
+            p.vx += (acceleration[0] || 0) * deltaTime * 10;
+            p.vy -= (acceleration[2] || 0) * deltaTime * 10;
             p.vx *= (1 - drag * deltaTime);
             p.vy *= (1 - drag * deltaTime);
             
@@ -147,24 +140,56 @@ class EffectInstance {
         }
     }
 
+    /**
+     * Tints a particle with the Color Over Life gradient at its age. HDR
+     * stops can push channels past 255: the colour is clamped and the
+     * excess becomes `glow`, which widens the particle's bloom.
+     */
+    applyColorOverLife(p, lifeRatio) {
+        const base = this.effectParams['cColor'];
+        const tint = ValueCodec.sampleGradient(this.effectParams['cColorOverLife'], lifeRatio);
+        const channels = [base.r * tint.r, base.g * tint.g, base.b * tint.b].map(c => c / 255);
+
+        p.glow = Math.max(1, ...channels.map(c => c / 255));
+        [p.color.r, p.color.g, p.color.b] = channels.map(c => Math.round(Math.min(255, c)));
+    }
+
+    /**
+     * A uniform random offset within a parameter's ± variation range.
+     * @param {string} paramName
+     * @param {number} [index] - Vector component; vector ranges are [x, y, z].
+     */
+    randomOffset(paramName, index = null) {
+        let range = this.variations[paramName];
+        if (index !== null) range = Array.isArray(range) ? range[index] : 0;
+        return (Math.random() * 2 - 1) * (Number(range) || 0);
+    }
+
     createParticle() {
-        const speed = this.effectParams['fSpeed'] || 0;
+        // Per-particle randomness comes only from the effect's variation ranges
+        const speed = (this.effectParams['fSpeed'] || 0) + this.randomOffset('fSpeed');
         const turbulence = this.effectParams['fTurbulence'] || 0;
         const color = this.effectParams['cColor'] || { r: 255, g: 255, b: 255, a: 1 };
+        const velocity = ValueCodec.normalize('vec3', this.effectParams['vVelocity'])
+            .map((component, i) => (component || 0) + this.randomOffset('vVelocity', i));
 
+        // The preview is a side view: engine X is right, Z is up and Y (depth) is not drawn
         const particle = {
              // --- FIX: Use dynamic canvas dimensions ---
-            x: this.canvasWidth / 2 + (Math.random() - 0.5) * 20,
-            y: this.canvasHeight / 2 + (Math.random() - 0.5) * 20,
+            x: this.canvasWidth / 2,
+            y: this.canvasHeight / 2,
             z: 0,
-            vx: (this.effectParams['vVelocity']?.x || 0) + (Math.random() - 0.5) * 2,
-            vy: -(speed) - Math.random() * 2,
-            vz: (this.effectParams['vVelocity']?.z || 0),
-            lifetime: this.effectParams['fParticleLifeTime'] * (0.8 + Math.random() * 0.4),
+            vx: velocity[0],
+            vy: -(speed + velocity[2]),
+            vz: velocity[1],
+            lifetime: Math.max(0.01, this.effectParams['fParticleLifeTime'] + this.randomOffset('fParticleLifeTime')),
             age: 0,
             size: this.effectParams['fSize'],
+            sizeOffset: this.randomOffset('fSize'),
             opacity: this.effectParams['fAlpha'],
+            alphaOffset: this.randomOffset('fAlpha'),
             color: { ...color },
+            glow: 1,
             rotation: Math.random() * Math.PI * 2,
             rotationSpeed: (Math.random() - 0.5) * 0.1
         };
@@ -194,7 +219,14 @@ class EffectInstance {
         }
         
         if (p2.x === p1.x) return p1.y;
-        const ratio = (t - p1.x) / (p2.x - p1.x);
+        let ratio = (t - p1.x) / (p2.x - p1.x);
+        
+        // Interpolation into the next key, matching the curve editor's drawing
+        if (p1.interpolation === 'step') {
+            return p1.y;
+        } else if (p1.interpolation === 'bezier') {
+            ratio = ratio * ratio * (3 - 2 * ratio);
+        }
         return p1.y + (p2.y - p1.y) * ratio;
     }
 }
@@ -204,16 +236,16 @@ export class ParticleRenderer {
     // Static defaults
     static DEFAULT_PARAMS = {
         'fCount': 150, 'fParticleLifeTime': 2.5,
-        'cColor': { r: 255, g: 107, b: 53, a: 1 },
+        'cColor': '#ff6b35', 'cColorOverLife': [{ t: 0, color: '#ffffff', intensity: 1 }, { t: 1, color: '#ffffff', intensity: 1 }],
         'fSize': 1.0, 'fAlpha': 0.85, 'eBlendType': 'Additive',
         'fSpeed': 5.0, 'fGravityScale': 0.0, 'fAirResistance': 0.1, 'fDrag': 0.1, 'fTurbulence': 0.3,
         'bZBufferCollision': true, 'bCollideStaticObjects': true, 'bCollideTerrainOnly': true,
-        'bCastShadows': false, 'vVelocity': { x: 0, y: 0, z: 5 }, 'fBurstCount': 0
+        'bCastShadows': false, 'vVelocity': [0, 0, 5], 'vAcceleration': [0, 0, 0], 'fBurstCount': 0
     };
 
     static USED_PARAMS = [
-        'fCount', 'fParticleLifeTime', 'eBlendType', 'cColor', 'fAlpha', 'fSize',
-        'fSpeed', 'fGravityScale', 'fAirResistance', 'fDrag', 'fTurbulence',
+        'fCount', 'fParticleLifeTime', 'eBlendType', 'cColor', 'cColorOverLife', 'fAlpha', 'fSize',
+        'fSpeed', 'vVelocity', 'vAcceleration', 'fGravityScale', 'fAirResistance', 'fDrag', 'fTurbulence',
         'bZBufferCollision', 'bCollideStaticObjects', 'bCollideTerrainOnly'
     ];
 
@@ -221,8 +253,7 @@ export class ParticleRenderer {
     static DEFAULT_CURVES = {
         size: [ { x: 0, y: 0.2 }, { x: 0.3, y: 0.8 }, { x: 0.7, y: 0.9 }, { x: 1, y: 0.3 } ],
         opacity: [ { x: 0, y: 0 }, { x: 0.2, y: 1 }, { x: 0.8, y: 1 }, { x: 1, y: 0 } ],
-        velocity: [ { x: 0, y: 1 }, { x: 0.4, y: 0.6 }, { x: 0.8, y: 0.4 }, { x: 1, y: 0.2 } ],
-        color: null
+        velocity: [ { x: 0, y: 1 }, { x: 0.4, y: 0.6 }, { x: 0.8, y: 0.4 }, { x: 1, y: 0.2 } ]
     };
 
     constructor() {
@@ -302,8 +333,9 @@ export class ParticleRenderer {
     /**
      * Loads an entire effect hierarchy.
      * @param {object} rootEffect - The root effect node.
+     * @param {ParamInheritance} [inheritance] - Resolves inherited parameter values.
      */
-    loadEffectHierarchy(rootEffect) {
+    loadEffectHierarchy(rootEffect, inheritance = null) {
         console.log('Loading effect hierarchy for rendering:', rootEffect.name);
         this.effectInstances.clear();
 
@@ -312,7 +344,8 @@ export class ParticleRenderer {
             if (effect.type !== 'effect') return;
             
             console.log(`  Creating instance for: ${effect.name}`);
-            const instance = new EffectInstance(effect, ParticleRenderer.DEFAULT_CURVES);
+            const params = inheritance ? inheritance.resolveParams(effect) : effect.params;
+            const instance = new EffectInstance(effect, ParticleRenderer.DEFAULT_CURVES, params);
             this.effectInstances.set(effect.name, instance);
 
             if (effect.items) {
@@ -324,6 +357,14 @@ export class ParticleRenderer {
         this.reset();
     }
     
+    /**
+     * Removes every effect instance (e.g. when a different project is loaded).
+     */
+    clear() {
+        this.effectInstances.clear();
+        this.reset();
+    }
+    
     /**
      * Updates a single parameter for a specific effect instance.
      * @param {string} effectId - The name/ID of the effect.
@@ -344,6 +385,22 @@ export class ParticleRenderer {
         }
     }
     
+    /**
+     * Updates a parameter's ± random range for a specific effect instance.
+     * @param {string} effectId - The name/ID of the effect.
+     * @param {string} paramName - The internal parameter name.
+     * @param {number|Array<number>|null} range - null removes the variation.
+     */
+    updateEffectVariation(effectId, paramName, range) {
+        const instance = this.effectInstances.get(effectId);
+        if (!instance) return;
+        if (range === null) {
+            delete instance.variations[paramName];
+        } else {
+            instance.variations[paramName] = range;
+        }
+    }
+
     /**
      * Updates a curve for a specific effect instance.
      * @param {string} effectId - The name/ID of the effect.
@@ -457,7 +514,7 @@ export class ParticleRenderer {
                 this.ctx.translate(p.x, p.y);
                 this.ctx.rotate(p.rotation);
                 
-                const r = p.color.r || 255, g = p.color.g || 255, b = p.color.b || 255;
+                const { r, g, b } = p.color;
                 
                 const gradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, screenSize);
                 gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 1)`);
@@ -468,8 +525,8 @@ export class ParticleRenderer {
                 this.ctx.fillStyle = gradient;
                 this.ctx.fillRect(-screenSize, -screenSize, screenSize * 2, screenSize * 2);
                 
-                if (p.opacity > 0.5) {
-                    this.ctx.shadowBlur = screenSize * 2;
+                if (p.opacity > 0.5 || p.glow > 1) {
+                    this.ctx.shadowBlur = screenSize * 2 * p.glow;
                     this.ctx.shadowColor = `rgba(${r}, ${g}, ${b}, ${p.opacity})`;
                     this.ctx.fillRect(-screenSize * 0.5, -screenSize * 0.5, screenSize, screenSize);
                 }
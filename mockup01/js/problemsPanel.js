@@ -0,0 +1,147 @@
+// Problems Panel - Lists validation errors and warnings for the current library
+// Docks under the timeline or at the bottom of the right sidebar.
+// Clicking a problem selects the effect and focuses the parameter row.
+
+export class ProblemsPanel {
+
+    static DOCKS = {
+        bottom: '.center-area',
+        right: '#right-panel'
+    };
+
+    constructor() {
+        this.app = null;
+        this.panel = document.getElementById('problems-panel');
+        this.list = document.getElementById('problems-list');
+        this.statusEl = document.getElementById('problems-status');
+        this.problems = [];
+        this.dock = 'bottom';
+        this.refreshTimer = null;
+    }
+
+    init(app) {
+        console.log('🩺 Initializing Problems Panel');
+        this.app = app;
+        if (!this.panel) return;
+
+        this.panel.querySelector('.problems-refresh-btn')?.addEventListener('click', () => this.refresh());
+        this.panel.querySelector('.problems-dock-btn')?.addEventListener('click', () => {
+            this.setDock(this.dock === 'bottom' ? 'right' : 'bottom');
+        });
+        this.panel.querySelector('.problems-close-btn')?.addEventListener('click', () => this.hide());
+        this.statusEl?.addEventListener('click', () => this.toggle());
+
+        // Keep the list current while editing
+        [
+            'parameterChanged', 'parameterVariationChanged', 'particleSystemChanged', 'itemRenamed', 'effectSelected', 'checkpointsChanged',
+            'assetCatalogChanged', 'expressionChanged'
+        ].forEach(eventName => {
+            document.addEventListener(eventName, () => this.scheduleRefresh());
+        });
+    }
+
+    isVisible() {
+        return this.panel?.classList.contains('active') || false;
+    }
+
+    show() {
+        if (!this.panel) return;
+        this.panel.classList.add('active');
+        this.refresh();
+    }
+
+    hide() {
+        this.panel?.classList.remove('active');
+    }
+
+    toggle() {
+        this.isVisible() ? this.hide() : this.show();
+    }
+
+    /**
+     * Moves the panel to another dock position.
+     * @param {'bottom'|'right'} dock
+     */
+    setDock(dock) {
+        const target = document.querySelector(ProblemsPanel.DOCKS[dock]);
+        if (!this.panel || !target) return;
+
+        this.dock = dock;
+        target.appendChild(this.panel);
+        this.panel.dataset.dock = dock;
+        const dockBtn = this.panel.querySelector('.problems-dock-btn');
+        if (dockBtn) {
+            dockBtn.title = dock === 'bottom' ? 'Dock Right' : 'Dock Bottom';
+        }
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), 250);
+    }
+
+    /**
+     * Re-validates the current library.
+     */
+    refresh() {
+        clearTimeout(this.refreshTimer);
+        this.setProblems(this.app.validateLibrary());
+    }
+
+    /**
+     * Shows a list of problems (e.g. the result of an export validation).
+     * @param {Array<Object>} problems - Problems from ExportValidator.
+     */
+    setProblems(problems) {
+        // Errors first, then by effect
+        this.problems = [...problems].sort((a, b) =>
+            (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) ||
+            a.effectName.localeCompare(b.effectName));
+        this.render();
+        document.dispatchEvent(new CustomEvent('problemsChanged', { detail: { problems: this.problems } }));
+    }
+
+    getCounts() {
+        const errors = this.problems.filter(p => p.severity === 'error').length;
+        return { errors, warnings: this.problems.length - errors };
+    }
+
+    render() {
+        const { errors, warnings } = this.getCounts();
+
+        if (this.statusEl) {
+            this.statusEl.textContent = `❌ ${errors}  ⚠️ ${warnings}`;
+            this.statusEl.classList.toggle('has-errors', errors > 0);
+        }
+
+        const counts = this.panel?.querySelector('.problems-counts');
+        if (counts) {
+            counts.textContent = `${errors} error${errors !== 1 ? 's' : ''}, ${warnings} warning${warnings !== 1 ? 's' : ''}`;
+        }
+
+        if (!this.list) return;
+        this.list.innerHTML = '';
+
+        if (this.problems.length === 0) {
+            this.list.innerHTML = '<div class="problems-empty">✅ No problems found</div>';
+            return;
+        }
+
+        this.problems.forEach(problem => {
+            const row = document.createElement('div');
+            row.className = `problem-row ${problem.severity}`;
+            row.innerHTML = `
+                <span class="problem-icon">${problem.severity === 'error' ? '❌' : '⚠️'}</span>
+                <span class="problem-message"></span>
+                <span class="problem-location"></span>
+            `;
+            row.querySelector('.problem-message').textContent = problem.message;
+            row.querySelector('.problem-location').textContent =
+                problem.param ? `${problem.effectName} › ${problem.param}` : problem.effectName;
+            row.title = 'Click to show in the parameter panel';
+
+            row.addEventListener('click', () => this.app.revealProblem(problem));
+            this.list.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,114 @@
+// Profile Converter
+// Moves a library from one definition profile to another. Parameters the
+// target profile knows under another name (an alias or deprecated name on
+// either side) are renamed; parameters it doesn't define, enum values it
+// doesn't offer and variations on parameters that can't vary there are
+// dropped. Every change is reported so nothing disappears silently.
+
+import { ValueCodec } from './valueCodec.js';
+
+export class ProfileConverter {
+
+    /**
+     * @param {DefinitionProfiles} profiles
+     */
+    constructor(profiles) {
+        this.profiles = profiles;
+    }
+
+    /**
+     * Converts a library to another profile.
+     * @param {Object} library - A library from the LibraryManager.
+     * @param {string} targetId - The profile to convert to.
+     * @param {{apply: boolean}} [options] - Pass apply: false to only get the report.
+     * @returns {Array<{effectName: string, param: string, change: 'renamed'|'dropped', message: string}>}
+     */
+    convert(library, targetId, { apply = true } = {}) {
+        const source = this.profiles.getParser(library.profile);
+        const target = this.profiles.getParser(targetId);
+        const targetName = target.profile?.name || targetId;
+
+        // Old name -> target name, for every parameter the target knows by another name
+        const renames = new Map();
+        source.getGroups().forEach(group => group.parameters.forEach(param => {
+            const name = this.mapName(param.name, source, target);
+            if (name && name !== param.name) renames.set(param.name, name);
+        }));
+
+        const items = apply ? library.items || [] : structuredClone(library.items || []);
+        const report = [];
+        this.convertItems(items, '', { source, target, targetName, renames, report });
+
+        if (apply) {
+            library.profile = targetId;
+        }
+        return report;
+    }
+
+    convertItems(items, pathPrefix, context) {
+        items.forEach(item => {
+            const path = pathPrefix + item.name;
+            if (item.type === 'effect') {
+                this.convertEffect(item, path, context);
+            }
+            this.convertItems(item.items || [], path + '.', context);
+        });
+    }
+
+    convertEffect(effect, effectName, { source, target, targetName, renames, report }) {
+        const reported = new Set(); // One entry per change to a parameter, not per field
+        const add = (param, change, message) => {
+            if (reported.has(`${change} ${param}`)) return;
+            reported.add(`${change} ${param}`);
+            report.push({ effectName, param, change, message });
+        };
+
+        ['params', 'variations', 'expressions'].forEach(field => {
+            const values = effect[field];
+            if (!values) return;
+
+            const converted = {};
+            Object.entries(values).forEach(([name, value]) => {
+                const newName = this.mapName(name, source, target);
+                if (!newName) {
+                    add(name, 'dropped', `Dropped "${name}": not defined in ${targetName}`);
+                    return;
+                }
+                if (newName !== name) {
+                    add(name, 'renamed', `Renamed "${name}" to "${newName}"`);
+                }
+
+                const definition = target.getParameter(newName);
+                if (field === 'params' && definition.type === 'enum' && !definition.options.includes(ValueCodec.serialize('enum', value))) {
+                    add(name, 'dropped', `Dropped ${newName} = "${value}": not an option in ${targetName} (${definition.options.join(', ')})`);
+                    return;
+                }
+                if (field === 'variations' && !target.canVary(newName)) {
+                    add(name, 'dropped', `Dropped the random variation of "${newName}": it can't vary in ${targetName}`);
+                    return;
+                }
+                converted[newName] = value;
+            });
+            effect[field] = converted;
+        });
+
+        Object.entries(effect.expressions || {}).forEach(([paramName, expression]) => {
+            effect.expressions[paramName] = target.renameReferences(expression, renames);
+        });
+    }
+
+    /**
+     * The target profile's name for a parameter, or null if it doesn't define it.
+     */
+    mapName(name, source, target) {
+        const definition = source.getParameter(name);
+        const candidates = definition
+            ? [definition.name, ...definition.aliases, ...definition.deprecatedNames]
+            : [name];
+        for (const candidate of candidates) {
+            const match = target.parameterMap.get(target.getRenamedTo(candidate) || candidate);
+            if (match) return match.name;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,134 @@
+// Native Project Format (.vfxproj)
+// Lossless save/load of everything the editor knows: libraries, folders,
+// effect hierarchy, params, curves (with interpolation), expressions,
+// timeline bars and flags, lock/visibility state and checkpoints.
+// CryEngine XML export stays a separate, one-way operation.
+
+import { ValueCodec } from './valueCodec.js';
+
+export class ProjectSerializer {
+
+    static FORMAT = 'vfxproj';
+    static VERSION = 1;
+    static EXTENSION = '.vfxproj';
+
+    /**
+     * @param {CryEngineParameterParser} [parser] - Definitions used to migrate
+     *   renamed parameters when loading. Without one, names are left as saved.
+     * @param {DefinitionProfiles} [profiles] - Profiles owning `parser`. With
+     *   them, every library is migrated with its own profile's definitions.
+     */
+    constructor(parser = null, profiles = null) {
+        this.parser = parser;
+        this.profiles = profiles;
+    }
+
+    /**
+     * Serializes the editor state to the native project format.
+     * @param {Object} project
+     * @param {Array<Object>} project.libraries - The library trees from the LibraryManager.
+     * @param {string|null} project.currentLibrary - Name of the active library.
+     * @param {Object} project.checkpoints - Checkpoint slots from the CheckpointManager.
+     * @returns {string} The project file contents (JSON).
+     */
+    serialize({ libraries, currentLibrary = null, checkpoints = {} }) {
+        const data = {
+            format: ProjectSerializer.FORMAT,
+            version: ProjectSerializer.VERSION,
+            savedAt: new Date().toISOString(),
+            currentLibrary: currentLibrary,
+            libraries: libraries,
+            checkpoints: checkpoints
+        };
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * Parses and validates a native project file.
+     * @param {string} text - The project file contents.
+     * @returns {{libraries: Array<Object>, currentLibrary: string|null, checkpoints: Object, notices: Array<string>}}
+     *   `notices` lists parameters migrated from old names and unknown profiles.
+     */
+    deserialize(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Project file is not valid JSON: ${error.message}`);
+        }
+
+        if (!data || data.format !== ProjectSerializer.FORMAT) {
+            throw new Error('Not a VFX Editor project file');
+        }
+        if (data.version > ProjectSerializer.VERSION) {
+            throw new Error(`Project version ${data.version} is newer than this editor supports (${ProjectSerializer.VERSION})`);
+        }
+        if (!Array.isArray(data.libraries)) {
+            throw new Error('Project file has no libraries');
+        }
+
+        const notices = [];
+        data.libraries.forEach(library => {
+            const onNotice = (notice) => notices.push(`${library.name} > ${notice}`);
+            if (!this.profiles) {
+                this.normalizeItems(library.items || [], onNotice);
+                return;
+            }
+
+            // Projects from before profiles were made for the default one
+            const profileId = this.profiles.resolveId(library.profile);
+            if (library.profile && library.profile !== profileId) {
+                onNotice(`unknown definition profile "${library.profile}", using "${profileId}"`);
+            }
+            library.profile = profileId;
+            this.profiles.use(profileId, () => this.normalizeItems(library.items || [], onNotice));
+        });
+
+        return {
+            libraries: data.libraries,
+            currentLibrary: data.currentLibrary || null,
+            checkpoints: data.checkpoints || {},
+            notices
+        };
+    }
+
+    /**
+     * Fills in fields the editor expects on every item, so older or
+     * hand-edited project files load the same as freshly saved ones.
+     */
+    normalizeItems(items, onNotice = () => {}) {
+        items.forEach(item => {
+            if (item.type === 'effect') {
+                item.params = item.params || {};
+                item.curves = item.curves || {};
+                item.expressions = item.expressions || {};
+                item.variations = item.variations || {};
+                item.timeline = item.timeline || { start: 0, duration: 5.0 };
+                if (this.parser) {
+                    this.parser.migrateEffectParams(item).forEach(onNotice);
+                    this.normalizeValues(item.params);
+                    this.normalizeValues(item.variations);
+                }
+            }
+            item.items = item.items || [];
+            this.normalizeItems(item.items, onNotice);
+        });
+    }
+
+    /**
+     * Converts values saved in other shapes (e.g. {x,y,z} vectors from older
+     * files, or numbers as text) to the canonical one for their type. Values
+     * that can't be read are kept for the ExportValidator to report.
+     * @param {Object} values - paramName -> value
+     */
+    normalizeValues(values) {
+        Object.entries(values).forEach(([name, value]) => {
+            const definition = this.parser.getParameter(name);
+            if (!definition || value === null || (typeof value !== 'object' && typeof value !== 'string')) return;
+
+            if (ValueCodec.isValid(definition.type, value)) {
+                values[name] = ValueCodec.normalize(definition.type, value);
+            }
+        });
+    }
+}
@@ -27,14 +27,28 @@ export class TimelineManager {
         const maxTrackDuration = this.tracks.reduce((max, track) => Math.max(max, track.start + track.duration), 0);
         this.duration = maxTrackDuration > 0 ? maxTrackDuration : 5.0;
 
-        this.flags = [
-            { time: 1.0, label: 'Burst', color: '#4ecdc4' },
-            { time: 3.5, label: 'Fade', color: '#ff6b35' }
-        ];
+        // Flags live on the root effect so they are saved with the project
+        if (!rootEffect.flags) {
+            rootEffect.flags = [
+                { time: 1.0, label: 'Burst', color: '#4ecdc4' },
+                { time: 3.5, label: 'Fade', color: '#ff6b35' }
+            ];
+        }
+        this.flags = rootEffect.flags;
 
         this.render();
     }
 
+    /**
+     * Removes all tracks and flags (e.g. when a different project is loaded).
+     */
+    clear() {
+        this.tracks = [];
+        this.flags = [];
+        this.duration = 5.0;
+        this.render();
+    }
+
     /**
      * Recursively builds a flat list of tracks from the effect tree.
      * @param {object} effect - The current effect node.
@@ -431,9 +445,16 @@ export class TimelineManager {
 
         this.flags.push(flag);
         this.renderFlags(this.container.querySelector('.timeline-content').offsetWidth);
+        this.dispatchFlagsChange();
         console.log('Added flag at', time);
     }
 
+    dispatchFlagsChange() {
+        document.dispatchEvent(new CustomEvent('timelineFlagsChanged', {
+            detail: { flags: this.flags }
+        }));
+    }
+
     renderFlags(totalWidth) {
         // Remove existing flags
         this.container.querySelectorAll('.timeline-flag').forEach(f => f.remove());
@@ -491,6 +512,7 @@ export class TimelineManager {
                 const onMouseUp = () => {
                     document.removeEventListener('mousemove', onMouseMove);
                     document.removeEventListener('mouseup', onMouseUp);
+                    if (flag.time !== startTime) this.dispatchFlagsChange();
                     console.log('Flag moved to:', flag.time);
                 };
 
@@ -510,6 +532,7 @@ export class TimelineManager {
                 e.preventDefault();
                 this.flags.splice(index, 1);
                 this.renderFlags(totalWidth);
+                this.dispatchFlagsChange();
             });
 
             ruler.appendChild(flagEl);
@@ -533,6 +556,7 @@ export class TimelineManager {
             labelEl.style.pointerEvents = 'none';
             flag.label = labelEl.textContent.trim() || originalLabel;
             labelEl.textContent = flag.label;
+            if (flag.label !== originalLabel) this.dispatchFlagsChange();
         };
 
         labelEl.addEventListener('blur', finishEdit, { once: true });
@@ -0,0 +1,238 @@
+// Parameter Value Codec
+// One place that knows how each parameters.xml `type` is represented:
+// parsing XML strings, normalizing editor values, comparing with tolerance
+// and serializing back to XML without losing precision.
+//
+// Canonical in-editor shapes:
+//   float/int -> number      bool   -> boolean     enum/string -> string
+//   color     -> "#rrggbb"   vec3   -> [x, y, z]
+//   gradient  -> [{t, color: "#rrggbb", intensity}, ...] sorted by t
+
+const EPSILON = 1e-6;
+
+const nearlyEqual = (a, b) =>
+    a === b || Math.abs(a - b) <= EPSILON * Math.max(1, Math.abs(a), Math.abs(b));
+
+const toNumber = (value) => (typeof value === 'number' ? value : parseFloat(value));
+
+// Shortest string that parses back to exactly the same number
+const formatNumber = (value) => (Object.is(value, -0) ? '0' : String(value));
+
+// "true"/"1" in any case; anything else is false
+const toBool = (raw) => ['true', '1'].includes(String(raw).trim().toLowerCase());
+
+// Exactly three components. Other counts and non-numeric components give NaN,
+// which the validators report and the exporter skips (see ValueCodec.isValid)
+const toVector = (components) =>
+    components.length === 3 ? components.map(toNumber) : [NaN, NaN, NaN];
+
+const CODECS = {
+    float: {
+        parse: (raw) => parseFloat(raw),
+        normalize: toNumber,
+        serialize: (value) => formatNumber(toNumber(value)),
+        equals: (a, b) => nearlyEqual(toNumber(a), toNumber(b))
+    },
+    int: {
+        parse: (raw) => Math.round(parseFloat(raw)),
+        normalize: (value) => Math.round(toNumber(value)),
+        serialize: (value) => formatNumber(Math.round(toNumber(value))),
+        equals: (a, b) => Math.round(toNumber(a)) === Math.round(toNumber(b))
+    },
+    bool: {
+        parse: toBool,
+        normalize: (value) => (typeof value === 'string' ? toBool(value) : !!value),
+        serialize: (value) => (CODECS.bool.normalize(value) ? 'true' : 'false'),
+        equals: (a, b) => CODECS.bool.normalize(a) === CODECS.bool.normalize(b)
+    },
+    vec3: {
+        parse: (raw) => toVector(String(raw).split(',')),
+        normalize: (value) => {
+            if (Array.isArray(value)) return toVector(value);
+            if (value && typeof value === 'object') return toVector([value.x, value.y, value.z]);
+            if (typeof value === 'string') return CODECS.vec3.parse(value);
+            return [0, 0, 0];
+        },
+        serialize: (value) => CODECS.vec3.normalize(value).map(formatNumber).join(','),
+        equals: (a, b) => {
+            const va = CODECS.vec3.normalize(a);
+            const vb = CODECS.vec3.normalize(b);
+            return va.every((v, i) => nearlyEqual(v, vb[i]));
+        }
+    },
+    color: {
+        // CryEngine writes colors as "r,g,b" floats in 0-1; the editor uses hex
+        parse: (raw) => CODECS.color.normalize(raw),
+        normalize: (value) => {
+            const { r, g, b } = ValueCodec.colorToRGB(value);
+            return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+        },
+        // Three decimals are enough for 8-bit channels to survive the round trip
+        serialize: (value) => {
+            const { r, g, b } = ValueCodec.colorToRGB(value);
+            return [r, g, b].map(c => formatNumber(Number((c / 255).toFixed(3)))).join(',');
+        },
+        equals: (a, b) => CODECS.color.normalize(a) === CODECS.color.normalize(b)
+    },
+    string: {
+        parse: (raw) => String(raw ?? ''),
+        normalize: (value) => String(value ?? ''),
+        serialize: (value) => String(value ?? ''),
+        equals: (a, b) => String(a ?? '') === String(b ?? '')
+    }
+};
+CODECS.enum = CODECS.string;
+
+// Colour-over-life gradients. Each stop has a colour and an HDR intensity
+// multiplier (above 1 for emissive looks). CryEngine stores them as an
+// over-life curve of linear colours, "(time:r,g,b:flag,...)", with the
+// intensity folded into the channels.
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+const GRADIENT_KEY = new RegExp(`(${NUMBER})\\s*:\\s*(${NUMBER})\\s*,\\s*(${NUMBER})\\s*,\\s*(${NUMBER})(?:\\s*:\\s*[A-Za-z])?`, 'gi');
+
+// Linear channels of a stop, intensity included (1 = full white)
+const gradientChannels = (stop) => {
+    const { r, g, b } = ValueCodec.colorToRGB(stop.color);
+    return [r, g, b].map(c => (c / 255) * stop.intensity);
+};
+
+CODECS.gradient = {
+    parse: (raw) => Array.from(String(raw ?? '').matchAll(GRADIENT_KEY), ([, t, ...channels]) => {
+        const linear = channels.map(c => Math.max(0, parseFloat(c)));
+        const intensity = Math.max(1, ...linear);
+        return {
+            t: parseFloat(t),
+            color: CODECS.color.normalize(linear.map(c => c / intensity).join(',')),
+            intensity: Number(intensity.toFixed(3))
+        };
+    }).sort((a, b) => a.t - b.t),
+    normalize: (value) => {
+        if (typeof value === 'string') return CODECS.gradient.parse(value);
+        if (!Array.isArray(value)) return [];
+        return value.map(stop => ({
+            t: Math.max(0, Math.min(1, toNumber(stop?.t) || 0)),
+            color: CODECS.color.normalize(stop?.color),
+            intensity: Math.max(0, toNumber(stop?.intensity ?? 1) || 0)
+        })).sort((a, b) => a.t - b.t);
+    },
+    serialize: (value) => {
+        const keys = CODECS.gradient.normalize(value).map(stop => {
+            const channels = gradientChannels(stop).map(c => formatNumber(Number(c.toFixed(4))));
+            return `${formatNumber(stop.t)}:${channels.join(',')}:L`;
+        });
+        return `(${keys.join(',')})`;
+    },
+    // Equal if every stop gives the same linear colour, within 8-bit precision
+    equals: (a, b) => {
+        const ga = CODECS.gradient.normalize(a);
+        const gb = CODECS.gradient.normalize(b);
+        return ga.length === gb.length && ga.every((stop, i) => {
+            const ca = gradientChannels(stop);
+            const cb = gradientChannels(gb[i]);
+            const tolerance = Math.max(1, stop.intensity, gb[i].intensity) / 255;
+            return nearlyEqual(stop.t, gb[i].t) && ca.every((c, j) => Math.abs(c - cb[j]) <= tolerance);
+        });
+    }
+};
+
+export class ValueCodec {
+
+    static EPSILON = EPSILON;
+
+    static get(type) {
+        return CODECS[type] || CODECS.string;
+    }
+
+    /**
+     * Whether `type` is one of the types parameters.xml may use.
+     */
+    static isKnownType(type) {
+        return Object.prototype.hasOwnProperty.call(CODECS, type);
+    }
+
+    /**
+     * Parses an XML attribute string (a definition default or an imported value).
+     * @param {string} type - The parameter type from parameters.xml.
+     * @param {string} raw
+     */
+    static parse(type, raw) {
+        return ValueCodec.get(type).parse(raw);
+    }
+
+    /**
+     * Converts any accepted shape (e.g. {x,y,z} or "x,y,z" for vec3) to the canonical one.
+     */
+    static normalize(type, value) {
+        return ValueCodec.get(type).normalize(value);
+    }
+
+    /**
+     * Writes a value as an XML attribute string (not escaped).
+     */
+    static serialize(type, value) {
+        return ValueCodec.get(type).serialize(value);
+    }
+
+    /**
+     * Whether a value can be written out: numbers (and vector components)
+     * must be finite once normalized, e.g. not "abc" or "1,2" for a vec3.
+     */
+    static isValid(type, value) {
+        return [ValueCodec.normalize(type, value)].flat().every(v => typeof v !== 'number' || Number.isFinite(v));
+    }
+
+    /**
+     * Compares two values, with a small relative tolerance for floats.
+     */
+    static equals(type, a, b) {
+        return ValueCodec.get(type).equals(a, b);
+    }
+
+    /**
+     * The colour of a gradient at time `t` (0-1), interpolated linearly
+     * between stops, with intensity applied: channels are 0-255 at
+     * intensity 1 and go above 255 for HDR stops.
+     * @returns {{r: number, g: number, b: number}}
+     */
+    static sampleGradient(value, t) {
+        const stops = CODECS.gradient.normalize(value);
+        if (stops.length === 0) return { r: 255, g: 255, b: 255 };
+
+        let next = stops.findIndex(stop => stop.t >= t);
+        if (next === -1) next = stops.length - 1;
+        const previous = Math.max(0, next - 1);
+        const from = gradientChannels(stops[previous]);
+        const to = gradientChannels(stops[next]);
+        const span = stops[next].t - stops[previous].t;
+        const ratio = span > 0 ? Math.max(0, Math.min(1, (t - stops[previous].t) / span)) : 0;
+
+        const [r, g, b] = from.map((c, i) => (c + (to[i] - c) * ratio) * 255);
+        return { r, g, b };
+    }
+
+    /**
+     * Decodes a color in any accepted shape ("#rrggbb", "r,g,b" in 0-1,
+     * or an {r,g,b} object in 0-255) to 0-255 channels.
+     * @returns {{r: number, g: number, b: number}}
+     */
+    static colorToRGB(value) {
+        if (value && typeof value === 'object') {
+            return { r: Math.round(value.r) || 0, g: Math.round(value.g) || 0, b: Math.round(value.b) || 0 };
+        }
+
+        const text = String(value ?? '').trim();
+        const hex = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(text);
+        if (hex) {
+            return { r: parseInt(hex[1], 16), g: parseInt(hex[2], 16), b: parseInt(hex[3], 16) };
+        }
+
+        const channels = text.split(',').slice(0, 3).map(v => {
+            const channel = Math.max(0, Math.min(1, parseFloat(v) || 0));
+            return Math.round(channel * 255);
+        });
+        if (channels.length === 3) {
+            return { r: channels[0], g: channels[1], b: channels[2] };
+        }
+        return { r: 255, g: 255, b: 255 };
+    }
+}
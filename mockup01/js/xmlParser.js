@@ -0,0 +1,174 @@
+// Minimal XML Parser
+// A small, dependency-free parser for the editor's own XML files
+// (parameters.xml). Unlike the browser's DOMParser it also runs in Node,
+// and it records the line each element starts on for error messages.
+
+export class XmlElement {
+    constructor(tagName, attributes = {}, line = 1) {
+        this.tagName = tagName;
+        this.attributes = attributes; // name -> value, in document order
+        this.line = line;
+        this.children = []; // Child elements only
+        this.text = ''; // Text directly inside this element
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    /**
+     * All text inside the element, including nested elements (like DOM textContent).
+     */
+    get textContent() {
+        return this.text + this.children.map(child => child.textContent).join('');
+    }
+
+    /**
+     * Finds all descendant elements with a tag name, in document order.
+     */
+    findAll(tagName) {
+        const found = [];
+        this.children.forEach(child => {
+            if (child.tagName === tagName) found.push(child);
+            found.push(...child.findAll(tagName));
+        });
+        return found;
+    }
+}
+
+export class XmlParseError extends Error {
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'XmlParseError';
+        this.line = line;
+    }
+}
+
+const START_TAG = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text, line) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        if (!(entity in ENTITIES)) {
+            throw new XmlParseError(`Unknown entity "${match}"`, line);
+        }
+        return ENTITIES[entity];
+    });
+}
+
+/**
+ * Parses an XML document.
+ * @param {string} xmlString - The XML text.
+ * @returns {XmlElement} The root element.
+ * @throws {XmlParseError} With the line number of the first syntax error.
+ */
+export function parseXML(xmlString) {
+    const stack = [];
+    let root = null;
+    let pos = 0;
+    let line = 1;
+
+    const advance = (to) => {
+        for (let i = pos; i < to; i++) {
+            if (xmlString.charCodeAt(i) === 10) line++;
+        }
+        pos = to;
+    };
+
+    const skipPast = (terminator, what) => {
+        const end = xmlString.indexOf(terminator, pos);
+        if (end === -1) throw new XmlParseError(`Unterminated ${what}`, line);
+        const content = xmlString.slice(pos, end);
+        advance(end + terminator.length);
+        return content;
+    };
+
+    while (pos < xmlString.length) {
+        const lt = xmlString.indexOf('<', pos);
+        const textEnd = lt === -1 ? xmlString.length : lt;
+
+        if (textEnd > pos) {
+            const text = xmlString.slice(pos, textEnd);
+            if (stack.length > 0) {
+                stack[stack.length - 1].text += decodeEntities(text, line);
+            } else if (text.trim()) {
+                throw new XmlParseError('Text outside the root element', line);
+            }
+            advance(textEnd);
+            continue;
+        }
+
+        if (xmlString.startsWith('<!--', pos)) {
+            advance(pos + 4);
+            skipPast('-->', 'comment');
+        } else if (xmlString.startsWith('<?', pos)) {
+            advance(pos + 2);
+            skipPast('?>', 'processing instruction');
+        } else if (xmlString.startsWith('<![CDATA[', pos)) {
+            advance(pos + 9);
+            const data = skipPast(']]>', 'CDATA section');
+            if (stack.length === 0) throw new XmlParseError('CDATA outside the root element', line);
+            stack[stack.length - 1].text += data;
+        } else if (xmlString.startsWith('<!', pos)) {
+            advance(pos + 2);
+            skipPast('>', 'declaration');
+        } else if (xmlString.startsWith('</', pos)) {
+            const tagLine = line;
+            advance(pos + 2);
+            const name = skipPast('>', 'closing tag').trim();
+            const open = stack.pop();
+            if (!open) {
+                throw new XmlParseError(`Unexpected closing tag </${name}>`, tagLine);
+            }
+            if (open.tagName !== name) {
+                throw new XmlParseError(`Expected </${open.tagName}> (opened on line ${open.line}), found </${name}>`, tagLine);
+            }
+        } else {
+            const tagLine = line;
+            START_TAG.lastIndex = pos;
+            const match = START_TAG.exec(xmlString);
+            if (!match) {
+                throw new XmlParseError('Malformed tag', tagLine);
+            }
+
+            const attributes = {};
+            const attrPattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            for (const attr of match[2].matchAll(attrPattern)) {
+                if (Object.prototype.hasOwnProperty.call(attributes, attr[1])) {
+                    throw new XmlParseError(`Duplicate attribute "${attr[1]}" on <${match[1]}>`, tagLine);
+                }
+                attributes[attr[1]] = decodeEntities(attr[2] ?? attr[3], tagLine);
+            }
+
+            const element = new XmlElement(match[1], attributes, tagLine);
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(element);
+            } else if (root) {
+                throw new XmlParseError(`Second root element <${match[1]}>`, tagLine);
+            } else {
+                root = element;
+            }
+
+            advance(pos + match[0].length);
+            if (!match[3]) stack.push(element);
+        }
+    }
+
+    if (stack.length > 0) {
+        const open = stack[stack.length - 1];
+        throw new XmlParseError(`<${open.tagName}> opened on line ${open.line} is never closed`, line);
+    }
+    if (!root) {
+        throw new XmlParseError('No root element', line);
+    }
+    return root;
+}
@@ -0,0 +1,119 @@
+// Minimal ZIP Archive Writer
+// Builds an uncompressed (stored) .zip in memory so several exported files
+// can be delivered as one download without pulling in a compression library.
+
+export class ZipArchive {
+
+    static CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    constructor() {
+        this.files = [];
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Adds a file to the archive.
+     * @param {string} name - Path inside the archive (forward slashes).
+     * @param {string|Uint8Array} content - Text (written as UTF-8) or raw bytes.
+     */
+    addFile(name, content) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.files.push({
+            name: this.encoder.encode(name),
+            data: data,
+            crc: ZipArchive.crc32(data)
+        });
+    }
+
+    hasFile(name) {
+        const encoded = this.encoder.encode(name).join(',');
+        return this.files.some(file => file.name.join(',') === encoded);
+    }
+
+    /**
+     * Writes the archive: a local header + data per file, then the central directory.
+     * @returns {Uint8Array} The .zip file contents.
+     */
+    toUint8Array() {
+        const { time, date } = ZipArchive.dosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // Local file header signature
+            local.setUint16(4, 20, true);           // Version needed (2.0)
+            local.setUint16(6, 0x0800, true);       // Flags: UTF-8 names
+            local.setUint16(8, 0, true);            // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);           // Extra field length
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, file.crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, file.name.length, true);
+            // Extra, comment, disk, attributes are all zero
+            central.setUint32(42, offset, true);    // Offset of the local header
+
+            localParts.push(new Uint8Array(local.buffer), file.name, file.data);
+            centralParts.push(new Uint8Array(central.buffer), file.name);
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, this.files.length, true);  // Entries on this disk
+        end.setUint16(10, this.files.length, true); // Total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);            // Central directory offset
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    static crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipArchive.CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+}
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// VFX Editor command-line validator and exporter
+// Validates native project files (.vfxproj) against the parameter definitions
+// and writes CryEngine particle library XML with the same CryEngineExporter as
+// the editor. Each library uses the definition profile it records (profiles.xml).
+//
+// Usage:
+//   node tools/vfx-cli.mjs validate <project.vfxproj>... [options]
+//   node tools/vfx-cli.mjs export <project.vfxproj>... [options]
+//
+// Options:
+//   --params <file>    Use these parameter definitions for every library instead of
+//                      the libraries' profiles from profiles.xml
+//   --library <name>   Only process this library (repeatable)
+//   --out <dir>        Output directory for exported XML (default: current directory)
+//   --platform <name>  Drop parameters not supported on this platform (e.g. PC)
+//   --force            Export even when validation finds errors
+//   --strict           Treat warnings as errors
+//   --verbose          Show the exporter's log output
+//
+// Exit codes: 0 = OK, 1 = validation errors or malformed exported XML, 2 = usage or file errors
+// (including errors in the parameter definitions).
+//
+// The editor's modules are plain ES modules with a .js extension; Node 20.19+
+// and 22.7+ load them as-is. Older Node 20 and Node 21 releases need
+// --experimental-detect-module.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CryEngineExporter } from '../js/cryEngineExporter.js';
+import { ProjectSerializer } from '../js/projectSerializer.js';
+import { DefinitionProfiles } from '../js/definitionProfiles.js';
+import { parseXML } from '../js/xmlParser.js';
+
+const EDITOR_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const EXIT_OK = 0;
+const EXIT_VALIDATION_FAILED = 1;
+const EXIT_USAGE = 2;
+
+function parseArgs(argv) {
+    const options = {
+        command: argv[0],
+        projects: [],
+        params: null,
+        libraries: [],
+        out: process.cwd(),
+        platform: null,
+        force: false,
+        strict: false,
+        verbose: false
+    };
+
+    if (!['validate', 'export'].includes(options.command)) {
+        throw new Error(options.command ? `Unknown command "${options.command}"` : 'Missing command');
+    }
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--params': options.params = value(); break;
+            case '--library': options.libraries.push(value()); break;
+            case '--out': options.out = value(); break;
+            case '--platform': options.platform = value(); break;
+            case '--force': options.force = true; break;
+            case '--strict': options.strict = true; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                options.projects.push(arg);
+        }
+    }
+
+    if (options.projects.length === 0) {
+        throw new Error('No project files given');
+    }
+    return options;
+}
+
+function printUsage() {
+    process.stderr.write([
+        'Usage: vfx-cli <validate|export> <project.vfxproj>... [options]',
+        '  --params <file>    Parameter definitions for every library (default: per profile)',
+        '  --library <name>   Only process this library (repeatable)',
+        '  --out <dir>        Output directory for exported XML',
+        '  --platform <name>  Drop parameters not supported on this platform',
+        '  --force            Export even when validation finds errors',
+        '  --strict           Treat warnings as errors',
+        '  --verbose          Show the exporter\'s log output',
+        ''
+    ].join('\n'));
+}
+
+function formatProblem(library, problem) {
+    const param = problem.param ? ` (${problem.param})` : '';
+    return `  ${problem.severity.padEnd(7)} ${library.name} > ${problem.effectName}${param}: ${problem.message}`;
+}
+
+function formatDefinitionsProblem(file, problem) {
+    return `${file}${problem.line ? `:${problem.line}` : ''}: ${problem.severity} ${problem.message}`;
+}
+
+/**
+ * Loads the definitions: the --params file, or every profile in profiles.xml.
+ * Prints their problems.
+ * @returns {Promise<boolean>} False if any definitions have errors.
+ */
+async function loadDefinitions(profiles, options) {
+    const report = (file, problems) => problems.forEach(problem => {
+        process.stderr.write(formatDefinitionsProblem(problem.file || file, problem) + '\n');
+    });
+
+    if (options.params) {
+        profiles.parser.loadFromText(fs.readFileSync(options.params, 'utf8'));
+        report(options.params, profiles.parser.problems);
+        return !profiles.parser.hasErrors();
+    }
+
+    await profiles.load(file => fs.readFileSync(path.join(EDITOR_ROOT, file), 'utf8'));
+    report(DefinitionProfiles.MANIFEST, profiles.problems);
+    let ok = profiles.problems.length === 0;
+    profiles.list().forEach(profile => profiles.use(profile.id, () => {
+        report(profile.parameters, profiles.parser.problems.filter(problem => !profiles.problems.includes(problem)));
+        if (profiles.parser.hasErrors()) ok = false;
+    }));
+    return ok;
+}
+
+async function run(options) {
+    const profiles = new DefinitionProfiles();
+    if (!(await loadDefinitions(profiles, options))) {
+        process.stderr.write('vfx-cli: the parameter definitions have errors, nothing validated\n');
+        return EXIT_USAGE;
+    }
+
+    const exporter = new CryEngineExporter(profiles.parser);
+    exporter.targetPlatform = options.platform;
+
+    // With --params every library uses that file; otherwise its own profile
+    const serializer = new ProjectSerializer(profiles.parser, options.params ? null : profiles);
+    const withDefinitions = (library, callback) => options.params ? callback() : profiles.use(library.profile, callback);
+    let failed = false;
+
+    options.projects.forEach(projectPath => {
+        const project = serializer.deserialize(fs.readFileSync(projectPath, 'utf8'));
+        const libraries = options.libraries.length > 0
+            ? project.libraries.filter(lib => options.libraries.includes(lib.name))
+            : project.libraries;
+
+        process.stdout.write(`${projectPath}\n`);
+        project.notices.forEach(notice => process.stdout.write(`  notice  ${notice}\n`));
+        if (libraries.length === 0) {
+            process.stdout.write('  (no matching libraries)\n');
+        }
+
+        libraries.forEach(library => withDefinitions(library, () => {
+            const effects = exporter.collectLibraryEffects(library.items || []);
+            const problems = exporter.validateEffects(effects);
+            const errors = problems.filter(p => p.severity === 'error' || options.strict);
+
+            problems.forEach(problem => process.stdout.write(formatProblem(library, problem) + '\n'));
+            const effectCount = exporter.flattenEffects(effects).length;
+            const profile = options.params ? '' : ` [${exporter.getProfile().id}]`;
+            process.stdout.write(`  ${errors.length > 0 ? 'FAIL' : 'OK  '}    ${library.name}${profile}: ` +
+                `${effectCount} effect(s), ${problems.length} problem(s)\n`);
+
+            if (errors.length > 0) failed = true;
+
+            if (options.command === 'export' && effectCount > 0 && (errors.length === 0 || options.force)) {
+                const exportName = exporter.getLibraryExportName(library);
+                const xml = exporter.exportLibrary({ name: exportName }, effects);
+                const outFile = path.join(options.out, exportName + '.xml');
+
+                // The editor's importer must be able to read it back
+                try {
+                    parseXML(xml);
+                } catch (error) {
+                    process.stdout.write(`  error   ${library.name}: exported XML is not well-formed: ${error.message}\n`);
+                    failed = true;
+                    return;
+                }
+
+                fs.mkdirSync(options.out, { recursive: true });
+                fs.writeFileSync(outFile, xml);
+                exporter.warnings.forEach(warning => process.stdout.write(`  warning ${library.name}: ${warning}\n`));
+                process.stdout.write(`          -> ${outFile}\n`);
+            }
+        }));
+    });
+
+    return failed ? EXIT_VALIDATION_FAILED : EXIT_OK;
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`vfx-cli: ${error.message}\n`);
+    printUsage();
+    process.exit(EXIT_USAGE);
+}
+
+if (!options.verbose) {
+    // The shared editor modules log progress for the browser console
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {}; // Definitions problems are printed by run()
+}
+
+try {
+    process.exit(await run(options));
+} catch (error) {
+    process.stderr.write(`vfx-cli: ${error.message}\n`);
+    process.exit(EXIT_USAGE);
+}